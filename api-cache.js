@@ -0,0 +1,171 @@
+/* api-cache.js — network layer for the remote JSON APIs (live quotes + history)
+   - fetchJSONWithTimeout: per-call timeout, optional stand-in server (?apiBase=…, fixtures/replay-server.js)
+   - fetchFirstAvailable: ordered sources with an IndexedDB cache in front
+       1. a cached response younger than the TTL is used without touching the network
+       2. otherwise sources are tried in order; the first valid response is cached
+       3. if every source fails, the newest cached response (any age) is used — offline mode
+   - Raw JSON is cached and parsed again on read, so cached data passes the same validation
+   - TTLs are user settings (localStorage)
+*/
+
+const API_CACHE_STORE = "apiCache";
+const CACHE_CONFIG_KEY = "btc-prediction.cacheConfig";
+
+const DEFAULT_CACHE_CONFIG = {
+  liveMinutes: 5, // live price/volume quotes
+  historyHours: 12, // F&G + price history
+};
+
+/* -----------------------------
+   Sources with cache
+------------------------------ */
+// sources: [{ id, label, url, timeoutMs, parse(json) → value (throws if invalid) }]
+// Resolves with { value, source, cached, stale, storedAt, failures }; rejects (with .failures) if nothing usable
+async function fetchFirstAvailable(sources, { ttlMs, fetchImpl = fetch }) {
+  const now = Date.now();
+
+  for (const source of sources) {
+    const hit = await readApiCache(source.url);
+    if (!hit || now - hit.storedAt >= ttlMs) continue;
+
+    try {
+      return { value: source.parse(hit.data), source, cached: true, stale: false, storedAt: hit.storedAt, failures: [] };
+    } catch (_) {
+      // cached payload no longer validates — fetch a new one
+    }
+  }
+
+  const failures = [];
+
+  for (const source of sources) {
+    try {
+      const data = await fetchJSONWithTimeout(source.url, source.timeoutMs, fetchImpl);
+      const value = source.parse(data);
+      const storedAt = await writeApiCache(source.url, data);
+      return { value, source, cached: false, stale: false, storedAt, failures };
+    } catch (err) {
+      console.warn(`✗ ${source.label} failed:`, err?.message ?? err);
+      failures.push({ source: source.id, sourceLabel: source.label, message: err?.message ?? String(err) });
+    }
+  }
+
+  // Offline (or every API down): newest snapshot we have, however old
+  let fallback = null;
+  for (const source of sources) {
+    const hit = await readApiCache(source.url);
+    if (!hit || (fallback && hit.storedAt <= fallback.storedAt)) continue;
+
+    try {
+      fallback = { value: source.parse(hit.data), source, cached: true, stale: true, storedAt: hit.storedAt, failures };
+    } catch (_) {
+      // unusable entry
+    }
+  }
+  if (fallback) return fallback;
+
+  const error = new Error(
+    failures.length
+      ? `All sources failed (${failures.map((f) => `${f.sourceLabel}: ${f.message}`).join("; ")})`
+      : "No data source configured."
+  );
+  error.failures = failures;
+  throw error;
+}
+
+async function fetchJSONWithTimeout(url, timeoutMs, fetchImpl = fetch) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const res = await fetchImpl(resolveApiURL(url), {
+      cache: "no-store",
+      headers: { Accept: "application/json" },
+      signal: controller.signal,
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    try {
+      return await res.json();
+    } catch (_) {
+      throw new Error("response is not JSON");
+    }
+  } catch (err) {
+    if (err?.name === "AbortError") throw new Error(`timed out after ${timeoutMs / 1000}s`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// https://host/path?q → <apiBase>/host/path?q when a stand-in server is configured
+function resolveApiURL(url) {
+  const base = typeof location !== "undefined" ? new URLSearchParams(location.search).get("apiBase") : null;
+  if (!base || !/^https?:\/\//.test(url)) return url;
+
+  const u = new URL(url);
+  return `${base.replace(/\/+$/, "")}/${u.host}${u.pathname}${u.search}`;
+}
+
+/* -----------------------------
+   IndexedDB entries: key = resolved URL → { data, storedAt }
+------------------------------ */
+function readApiCache(url) {
+  return idbGet(API_CACHE_STORE, resolveApiURL(url));
+}
+
+async function writeApiCache(url, data) {
+  const storedAt = Date.now();
+  try {
+    await idbPut(API_CACHE_STORE, resolveApiURL(url), { data, storedAt });
+  } catch (e) {
+    console.warn("Could not cache API response:", e);
+  }
+  return storedAt;
+}
+
+function clearApiCache() {
+  return idbClear(API_CACHE_STORE);
+}
+
+/* -----------------------------
+   TTL settings
+------------------------------ */
+function loadCacheConfig() {
+  try {
+    const raw = localStorage.getItem(CACHE_CONFIG_KEY);
+    return sanitizeCacheConfig(raw ? JSON.parse(raw) : {});
+  } catch (e) {
+    console.warn("Could not read cache settings:", e);
+    return { ...DEFAULT_CACHE_CONFIG };
+  }
+}
+
+function saveCacheConfig(config) {
+  try {
+    localStorage.setItem(CACHE_CONFIG_KEY, JSON.stringify(sanitizeCacheConfig(config)));
+  } catch (e) {
+    console.warn("Could not save cache settings:", e);
+  }
+}
+
+function sanitizeCacheConfig(raw = {}) {
+  const num = (v, max, fallback) => {
+    const n = Number(v);
+    return v !== "" && v != null && Number.isFinite(n) && n >= 0 && n <= max ? n : fallback;
+  };
+
+  return {
+    liveMinutes: num(raw.liveMinutes, 24 * 60, DEFAULT_CACHE_CONFIG.liveMinutes),
+    historyHours: num(raw.historyHours, 24 * 30, DEFAULT_CACHE_CONFIG.historyHours),
+  };
+}
+
+// "just now" / "12 min ago" / "3 h ago" / "2 days ago"
+function describeAge(storedAt, now = Date.now()) {
+  const min = Math.round((now - storedAt) / 60000);
+  if (min < 1) return "just now";
+  if (min < 60) return `${min} min ago`;
+  const hours = Math.round(min / 60);
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.round(hours / 24)} days ago`;
+}
@@ -0,0 +1,61 @@
+/* assets.js — the cryptocurrencies the app can model
+   - Each asset: name, ticker, CoinGecko id (CryptoCompare uses the ticker) and its bundled CSV, if any
+   - Only BTC ships a CSV; the others build their history from the live sources (history-ingest.js)
+   - The Fear & Greed index is market-wide (Alternative.me), so every asset is labelled with the same classes
+   - Per-asset storage keys for saved models and observations; BTC keeps the keys it had before assets
+     existed, so models and observations saved earlier still load
+   - Choice: ?asset=ETH, else the last one picked (localStorage), else BTC
+*/
+
+const ASSETS = {
+  BTC: { symbol: "BTC", name: "Bitcoin", coingeckoId: "bitcoin", datasetUrl: DATASET_URL },
+  ETH: { symbol: "ETH", name: "Ethereum", coingeckoId: "ethereum", datasetUrl: null },
+  SOL: { symbol: "SOL", name: "Solana", coingeckoId: "solana", datasetUrl: null },
+};
+
+const DEFAULT_ASSET = "BTC";
+const ASSET_CHOICE_KEY = "btc-prediction.asset";
+
+function getAsset(symbol) {
+  return ASSETS[symbol] ?? ASSETS[DEFAULT_ASSET];
+}
+
+/* -----------------------------
+   Choice (URL / localStorage)
+------------------------------ */
+function loadAssetChoice() {
+  const fromQuery = typeof location !== "undefined" ? new URLSearchParams(location.search).get("asset") : null;
+  if (ASSETS[fromQuery?.toUpperCase()]) return fromQuery.toUpperCase();
+
+  try {
+    const saved = localStorage.getItem(ASSET_CHOICE_KEY);
+    return ASSETS[saved] ? saved : DEFAULT_ASSET;
+  } catch (_) {
+    return DEFAULT_ASSET;
+  }
+}
+
+function saveAssetChoice(symbol) {
+  try {
+    localStorage.setItem(ASSET_CHOICE_KEY, symbol);
+  } catch (e) {
+    console.warn("Could not save the asset choice:", e);
+  }
+}
+
+function renderAssetOptionsHTML(selected = DEFAULT_ASSET) {
+  return Object.values(ASSETS)
+    .map((a) => `<option value="${a.symbol}" ${a.symbol === selected ? "selected" : ""}>${a.name} (${a.symbol})</option>`)
+    .join("");
+}
+
+/* -----------------------------
+   Storage keys
+------------------------------ */
+function assetModelKey(symbol) {
+  return symbol === DEFAULT_ASSET ? MODEL_STORE_LATEST_KEY : `${MODEL_STORE_LATEST_KEY}:${symbol}`;
+}
+
+function observationKey(symbol, date) {
+  return symbol === DEFAULT_ASSET ? date : `${symbol}:${date}`;
+}
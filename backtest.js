@@ -0,0 +1,220 @@
+/* backtest.js — replay the label → advice signals over the CSV history
+   - Each day's label becomes a target exposure (labelToAdvice signal → SIGNAL_EXPOSURE)
+   - The position is set at that day's close and earns the next day's return (no look-ahead)
+   - Costs: every change in exposure pays (fee + slippage) on the traded fraction
+   - Long-only, compared against buy-and-hold over the same days
+*/
+
+// Target share of equity in the asset per advice signal; null = keep current position
+const SIGNAL_EXPOSURE = {
+  "strong-buy": 1,
+  buy: 1,
+  hold: null,
+  "take-profit": 0.5,
+  sell: 0,
+};
+
+const DEFAULT_BACKTEST = {
+  retrainEvery: 0, // days; 0 = reuse the trained model
+  initialWindow: 0.5, // share of rows used before the first walk-forward prediction
+  feeBps: 10,
+  slippageBps: 5,
+};
+
+/* -----------------------------
+   Simulation
+------------------------------ */
+// days: [{ date, label, ret }] where ret is the return from this close to the next
+function runBacktest(days, opts = DEFAULT_BACKTEST) {
+  const costRate = ((opts.feeBps ?? 0) + (opts.slippageBps ?? 0)) / 10000;
+
+  let equity = 1;
+  let position = 0;
+  let trades = 0;
+  let investedDays = 0;
+  let winningDays = 0;
+
+  const curve = [];
+  const dailyReturns = [];
+
+  for (const day of days) {
+    const signal = labelToAdvice(day.label).signal;
+    const target = SIGNAL_EXPOSURE[signal] ?? position;
+
+    const traded = Math.abs(target - position);
+    if (traded > 0) {
+      equity *= 1 - traded * costRate;
+      trades++;
+      position = target;
+    }
+
+    const dayReturn = position * day.ret;
+    equity *= 1 + dayReturn;
+    dailyReturns.push(dayReturn);
+
+    if (position > 0) {
+      investedDays++;
+      if (dayReturn > 0) winningDays++;
+    }
+
+    curve.push({ date: day.date, equity, position });
+  }
+
+  return {
+    curve,
+    ...summarizeReturns(dailyReturns, curve),
+    trades,
+    hitRate: investedDays ? winningDays / investedDays : 0,
+    exposure: days.length ? investedDays / days.length : 0,
+  };
+}
+
+function runBuyAndHold(days, opts = DEFAULT_BACKTEST) {
+  const costRate = ((opts.feeBps ?? 0) + (opts.slippageBps ?? 0)) / 10000;
+
+  let equity = 1 - costRate;
+  const curve = [];
+  const dailyReturns = [];
+
+  for (const day of days) {
+    equity *= 1 + day.ret;
+    dailyReturns.push(day.ret);
+    curve.push({ date: day.date, equity, position: 1 });
+  }
+
+  const winning = dailyReturns.filter((r) => r > 0).length;
+
+  return {
+    curve,
+    ...summarizeReturns(dailyReturns, curve),
+    trades: days.length ? 1 : 0,
+    hitRate: days.length ? winning / days.length : 0,
+    exposure: days.length ? 1 : 0,
+  };
+}
+
+function summarizeReturns(dailyReturns, curve) {
+  const finalEquity = curve.length ? curve[curve.length - 1].equity : 1;
+
+  let peak = 1;
+  let maxDrawdown = 0;
+  for (const point of curve) {
+    peak = Math.max(peak, point.equity);
+    maxDrawdown = Math.max(maxDrawdown, 1 - point.equity / peak);
+  }
+
+  // Crypto trades every day → annualize with 365
+  const sd = stdDev(dailyReturns);
+  const avg = dailyReturns.length ? mean(dailyReturns) : 0;
+  const sharpe = sd ? (avg / sd) * Math.sqrt(365) : 0;
+
+  return { totalReturn: finalEquity - 1, maxDrawdown, sharpe };
+}
+
+/* -----------------------------
+   Day list helpers
+------------------------------ */
+// Attach next-day returns to predicted labels (predictions: [{ index, date, label }])
+function backtestDays(history, predictions) {
+  const days = [];
+  for (const p of predictions) {
+    const ret = nextRowReturn(history, p.index);
+    if (ret === null) continue;
+    days.push({ date: p.date, label: p.label, ret });
+  }
+  return days;
+}
+
+// Return to the next row, not the next calendar day: across a gap in the data the position is held until
+// the next known price
+function nextRowReturn(history, i) {
+  const now = history[i]?.rate;
+  const later = history[i + 1]?.rate;
+  if (!now || typeof later !== "number") return null;
+  return (later - now) / now;
+}
+
+// [start, end) index ranges into examples for each walk-forward retrain
+function walkForwardBlocks(count, initialWindow, retrainEvery) {
+  const first = Math.max(1, Math.floor(count * initialWindow));
+  const step = Math.max(1, retrainEvery);
+  const blocks = [];
+  for (let start = first; start < count; start += step) {
+    blocks.push({ trainEnd: start, start, end: Math.min(count, start + step) });
+  }
+  return blocks;
+}
+
+/* -----------------------------
+   HTML renderers
+------------------------------ */
+function renderBacktestHTML(strategy, benchmark, opts, note = "") {
+  const row = (name, r) => `
+    <tr>
+      <td>${name}</td>
+      <td>${formatPct(r.totalReturn)}</td>
+      <td>${formatPct(r.maxDrawdown)}</td>
+      <td>${r.sharpe.toFixed(2)}</td>
+      <td>${formatPct(r.hitRate)}</td>
+      <td>${r.trades}</td>
+      <td>${formatPct(r.exposure)}</td>
+    </tr>`;
+
+  const first = strategy.curve[0]?.date ?? "—";
+  const last = strategy.curve[strategy.curve.length - 1]?.date ?? "—";
+
+  return `
+    <div class="eval-card">
+      <h3 class="eval-title">Backtest ${first} → ${last}</h3>
+      ${note ? `<p class="eval-note">${note}</p>` : ""}
+      <table class="eval-table">
+        <thead>
+          <tr><th></th><th>Total return</th><th>Max drawdown</th><th>Sharpe</th><th>Hit rate</th><th>Trades</th><th>In market</th></tr>
+        </thead>
+        <tbody>
+          ${row("Advice strategy", strategy)}
+          ${row("Buy & hold", benchmark)}
+        </tbody>
+      </table>
+      ${renderEquityCurveSVG(strategy.curve, benchmark.curve)}
+      <p class="settings-hint">
+        Costs: ${opts.feeBps} bps fee + ${opts.slippageBps} bps slippage per unit traded.
+        Hit rate = share of days in the market with a positive return.
+      </p>
+    </div>
+  `;
+}
+
+function renderEquityCurveSVG(strategyCurve, benchmarkCurve) {
+  const w = 600;
+  const h = 200;
+  const all = [...strategyCurve, ...benchmarkCurve].map((p) => p.equity);
+  if (!all.length) return "";
+
+  // log scale keeps both curves readable over multi-year price moves
+  const lo = Math.log(Math.min(...all));
+  const hi = Math.log(Math.max(...all));
+  const span = hi - lo || 1;
+
+  const points = (curve) =>
+    curve
+      .map((p, i) => {
+        const x = (i / Math.max(1, curve.length - 1)) * w;
+        const y = h - ((Math.log(p.equity) - lo) / span) * h;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+      })
+      .join(" ");
+
+  return `
+    <svg class="equity-curve" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" role="img"
+         aria-label="Equity curve: strategy vs buy and hold">
+      <polyline class="equity-benchmark" points="${points(benchmarkCurve)}" />
+      <polyline class="equity-strategy" points="${points(strategyCurve)}" />
+    </svg>
+    <div class="equity-legend">
+      <span class="equity-strategy-key">Advice strategy</span>
+      <span class="equity-benchmark-key">Buy &amp; hold</span>
+      <span>(log scale)</span>
+    </div>
+  `;
+}
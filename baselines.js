@@ -0,0 +1,380 @@
+/* baselines.js — simple models the network has to beat
+   - Trained on the network's own train rows and features, scored on its validation / test rows with the
+     same metrics (evaluation.js), so the comparison table is like for like — except class balancing
+     (class-balance.js): baselines always see the rows as they are, and the table says so when the network didn't
+   - Majority class · same as yesterday · logistic regression · k-nearest neighbours · decision tree;
+     in return mode the regression counterparts (mean return, last return, ridge, kNN mean, regression tree)
+   - "Same as yesterday" only uses what was known that day: yesterday's F&G label, or in the price modes
+     the move that ended today (the target of the row `horizon` days back)
+   - Plain JavaScript, no tf.js: the largest (logistic regression) trains in well under a second
+*/
+
+const BASELINE_KNN_K = 15;
+const BASELINE_TREE = { maxDepth: 4, minLeaf: 20, thresholds: 16 };
+const BASELINE_LINEAR = { epochs: 300, learningRate: 0.5, l2: 0.001 };
+
+const BASELINES = [
+  { key: "majority", label: "Majority class", regressionLabel: "Mean return", fit: fitMajorityBaseline },
+  { key: "persistence", label: "Same as yesterday", regressionLabel: "Last known return", fit: fitPersistenceBaseline },
+  {
+    key: "logistic",
+    label: "Logistic regression",
+    regressionLabel: "Linear regression (ridge)",
+    fit: fitLinearBaseline,
+  },
+  { key: "knn", label: `k-nearest neighbours (k = ${BASELINE_KNN_K})`, fit: fitKnnBaseline },
+  { key: "tree", label: `Decision tree (depth ${BASELINE_TREE.maxDepth})`, fit: fitTreeBaseline },
+];
+
+/* -----------------------------
+   Runner
+------------------------------ */
+// split: splitChronological() of target-attached examples; ctx: { task, keys, classes, history, mode }
+// → [{ key, label, validation, test }] with computeClassificationMetrics / computeRegressionMetrics results
+function runBaselines(split, ctx) {
+  const isRegression = ctx.task === "regression";
+  const score = (actual, predicted) =>
+    isRegression
+      ? computeRegressionMetrics(actual, predicted)
+      : computeClassificationMetrics(actual, predicted, ctx.classes);
+
+  return BASELINES.map((baseline) => {
+    const predict = baseline.fit(split.train, ctx);
+    const evaluate = (rows) => score(rows.map((r) => r.target), rows.map(predict));
+
+    return {
+      key: baseline.key,
+      label: isRegression ? baseline.regressionLabel ?? baseline.label : baseline.label,
+      validation: evaluate(split.validation),
+      test: evaluate(split.test),
+    };
+  });
+}
+
+/* -----------------------------
+   Majority / persistence
+------------------------------ */
+function fitMajorityBaseline(train, { task }) {
+  const targets = train.map((ex) => ex.target);
+  const value = task === "regression" ? mean(targets) : mostCommon(targets);
+  return () => value;
+}
+
+function fitPersistenceBaseline(train, ctx) {
+  const fallback = fitMajorityBaseline(train, ctx)();
+  const byDate = new Map(ctx.history.map((row) => [row.date, row]));
+  return (ex) => laggedTarget(ctx.history, ex.index, ctx.mode, byDate) ?? fallback;
+}
+
+// The newest target already known on history[index]'s day; byDate: history rows by date
+function laggedTarget(history, index, mode, byDate) {
+  if (mode.mode === "sentiment") return history[index - 1]?.label ?? null;
+
+  const ret = forwardReturn(byDate, addDays(history[index].date, -mode.horizon), mode.horizon);
+  if (ret === null) return null;
+  return mode.mode === "direction" ? directionLabel(ret, mode.flatThreshold) : ret;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) ?? 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+/* -----------------------------
+   Logistic regression (softmax, full-batch gradient descent) / ridge regression (closed form)
+------------------------------ */
+function fitLinearBaseline(train, ctx) {
+  return ctx.task === "regression" ? fitRidgeBaseline(train, ctx) : fitLogisticBaseline(train, ctx);
+}
+
+function fitLogisticBaseline(train, { keys, classes }) {
+  const { epochs, learningRate, l2 } = BASELINE_LINEAR;
+  const scale = fitStandardizer(train, keys);
+  const xs = train.map((ex) => Float64Array.from([...scale(ex), 1])); // last weight = bias
+  const ys = train.map((ex) => classes.map((c) => (c === ex.target ? 1 : 0)));
+  const d = keys.length + 1;
+  const n = xs.length;
+
+  const k = classes.length;
+  const weights = classes.map(() => new Float64Array(d));
+  const grad = classes.map(() => new Float64Array(d));
+  const out = new Float64Array(k);
+
+  // Class probabilities for x into `out` (reused: this runs n × epochs times)
+  const forward = (x) => {
+    let max = -Infinity;
+    for (let c = 0; c < k; c++) {
+      out[c] = dot(weights[c], x);
+      if (out[c] > max) max = out[c];
+    }
+    let total = 0;
+    for (let c = 0; c < k; c++) total += out[c] = Math.exp(out[c] - max);
+    for (let c = 0; c < k; c++) out[c] /= total;
+    return out;
+  };
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    grad.forEach((g) => g.fill(0));
+
+    for (let i = 0; i < n; i++) {
+      forward(xs[i]);
+      for (let c = 0; c < k; c++) {
+        const g = out[c] - ys[i][c];
+        const row = grad[c];
+        for (let j = 0; j < d; j++) row[j] += g * xs[i][j];
+      }
+    }
+
+    for (let c = 0; c < k; c++) {
+      for (let j = 0; j < d; j++) {
+        const penalty = j < d - 1 ? l2 * weights[c][j] : 0;
+        weights[c][j] -= learningRate * (grad[c][j] / n + penalty);
+      }
+    }
+  }
+
+  return (ex) => classes[argMax(Array.from(forward([...scale(ex), 1])))];
+}
+
+// (XᵀX + λI) w = Xᵀy — gradient descent diverges on the correlated return / MA features
+function fitRidgeBaseline(train, { keys }) {
+  const scale = fitStandardizer(train, keys);
+  const xs = train.map((ex) => [...scale(ex), 1]);
+  const d = keys.length + 1;
+  const n = xs.length;
+
+  const a = Array.from({ length: d }, () => new Array(d).fill(0));
+  const b = new Array(d).fill(0);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < d; j++) {
+      b[j] += xs[i][j] * train[i].target;
+      for (let k = 0; k < d; k++) a[j][k] += xs[i][j] * xs[i][k];
+    }
+  }
+  // bias stays unpenalized
+  for (let j = 0; j < d - 1; j++) a[j][j] += BASELINE_LINEAR.l2 * n;
+
+  const weights = solveLinearSystem(a, b);
+  return (ex) => dot(weights, [...scale(ex), 1]);
+}
+
+// Gaussian elimination with partial pivoting; a singular column gets a zero weight
+function solveLinearSystem(a, b) {
+  const d = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < d; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < d; r++) if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    if (Math.abs(m[col][col]) < 1e-12) continue;
+
+    for (let r = 0; r < d; r++) {
+      if (r === col) continue;
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= d; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+
+  return m.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[d] / row[i]));
+}
+
+function dot(w, x) {
+  let s = 0;
+  for (let j = 0; j < w.length; j++) s += w[j] * x[j];
+  return s;
+}
+
+function argMax(values) {
+  return values.reduce((best, v, i) => (v > values[best] ? i : best), 0);
+}
+
+// Train-row mean / std dev per feature, so no feature dominates the distances or the gradient
+function fitStandardizer(train, keys) {
+  const stats = keys.map((key) => {
+    const values = train.map((ex) => ex.inputs[key]);
+    return { key, mean: mean(values), sd: stdDev(values) || 1 };
+  });
+  return (ex) => stats.map((s) => (ex.inputs[s.key] - s.mean) / s.sd);
+}
+
+/* -----------------------------
+   k-nearest neighbours
+------------------------------ */
+function fitKnnBaseline(train, { task, keys }) {
+  const scale = fitStandardizer(train, keys);
+  const points = train.map((ex) => ({ x: scale(ex), target: ex.target }));
+  const k = Math.min(BASELINE_KNN_K, points.length);
+
+  return (ex) => {
+    const x = scale(ex);
+    const nearest = points
+      .map((p) => ({ target: p.target, dist: p.x.reduce((s, v, j) => s + (v - x[j]) ** 2, 0) }))
+      .sort((a, b) => a.dist - b.dist)
+      .slice(0, k);
+
+    if (task === "regression") return mean(nearest.map((p) => p.target));
+
+    // Majority vote; on a tie the class with the closer neighbour wins (Map keeps distance order)
+    const votes = new Map();
+    for (const p of nearest) votes.set(p.target, (votes.get(p.target) ?? 0) + 1);
+    let best = null;
+    for (const [label, count] of votes) if (best === null || count > votes.get(best)) best = label;
+    return best;
+  };
+}
+
+/* -----------------------------
+   Decision tree (CART: Gini for classes, squared error for returns)
+------------------------------ */
+function fitTreeBaseline(train, { task, keys }) {
+  const root = growTree(train, keys, task, BASELINE_TREE.maxDepth);
+  return (ex) => {
+    let node = root;
+    while (!node.leaf) node = ex.inputs[node.key] <= node.threshold ? node.left : node.right;
+    return node.value;
+  };
+}
+
+function growTree(rows, keys, task, depth) {
+  const targets = rows.map((r) => r.target);
+  const leaf = { leaf: true, value: task === "regression" ? mean(targets) : mostCommon(targets) };
+  if (depth === 0 || rows.length < 2 * BASELINE_TREE.minLeaf) return leaf;
+
+  const parentImpurity = impurity(targets, task);
+  if (parentImpurity === 0) return leaf;
+
+  let best = null;
+  for (const key of keys) {
+    for (const threshold of candidateThresholds(rows.map((r) => r.inputs[key]))) {
+      const left = [];
+      const right = [];
+      for (const r of rows) (r.inputs[key] <= threshold ? left : right).push(r.target);
+      if (left.length < BASELINE_TREE.minLeaf || right.length < BASELINE_TREE.minLeaf) continue;
+
+      const cost = (left.length * impurity(left, task) + right.length * impurity(right, task)) / rows.length;
+      if (!best || cost < best.cost) best = { key, threshold, cost };
+    }
+  }
+
+  if (!best || best.cost >= parentImpurity) return leaf;
+
+  return {
+    leaf: false,
+    key: best.key,
+    threshold: best.threshold,
+    left: growTree(rows.filter((r) => r.inputs[best.key] <= best.threshold), keys, task, depth - 1),
+    right: growTree(rows.filter((r) => r.inputs[best.key] > best.threshold), keys, task, depth - 1),
+  };
+}
+
+// Evenly spaced quantiles of the values, so wide features don't mean thousands of candidate splits
+function candidateThresholds(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const out = new Set();
+  for (let i = 1; i < BASELINE_TREE.thresholds; i++) {
+    out.add(sorted[Math.floor((i / BASELINE_TREE.thresholds) * (sorted.length - 1))]);
+  }
+  return [...out];
+}
+
+function impurity(targets, task) {
+  if (!targets.length) return 0;
+
+  if (task === "regression") {
+    const m = mean(targets);
+    return targets.reduce((s, t) => s + (t - m) ** 2, 0) / targets.length;
+  }
+
+  const counts = new Map();
+  for (const t of targets) counts.set(t, (counts.get(t) ?? 0) + 1);
+  let gini = 1;
+  for (const c of counts.values()) gini -= (c / targets.length) ** 2;
+  return gini;
+}
+
+/* -----------------------------
+   HTML renderer
+------------------------------ */
+// network: { label, validation, test } — same metric objects as the baselines
+// balancing: describeBalancing() of the network's run ("" when it trained on the rows as they are)
+function renderBaselinesHTML(network, baselines, task, balancing = "") {
+  const isRegression = task === "regression";
+  const models = [network, ...baselines];
+
+  // Test-set score to compare on: accuracy (higher is better) or RMSE (lower is better)
+  const testScore = (m) => (isRegression ? -m.test.rmse : m.test.accuracy);
+  const best = baselines.reduce((a, b) => (testScore(b) > testScore(a) ? b : a));
+
+  const cell = (m) => {
+    if (!m.n) return "—";
+    return isRegression
+      ? `${formatPct(m.rmse)} <span>(${formatPct(m.directionAccuracy)} hit)</span>`
+      : `${formatPct(m.accuracy)} <span>(${formatPct(m.balancedAccuracy)}, F1 ${m.macroF1.toFixed(2)})</span>`;
+  };
+
+  const rows = models
+    .map((m) => {
+      const cls = m === network ? "baseline-network" : m === best ? "baseline-best" : "";
+      return `<tr class="${cls}"><td>${m.label}</td><td>${cell(m.validation)}</td><td>${cell(m.test)}</td></tr>`;
+    })
+    .join("");
+
+  const render = isRegression ? renderRegressionMetricsHTML : renderMetricsHTML;
+  const balancingNote =
+    balancing && !isRegression
+      ? `<p>
+          The network trained with ${balancing}; the baselines are fit on the unbalanced train rows, so
+          "${BASELINES[0].label}" guesses the real most common class. Compare balanced accuracy and macro F1.
+        </p>`
+      : "";
+  const details = baselines.map((b) => render(`${b.label} — test`, b.test)).join("");
+
+  return `
+    <div class="eval-card baseline-comparison">
+      <h3 class="eval-title">Network vs baselines</h3>
+      <div class="eval-accuracy">${describeBaselineVerdict(network, best, isRegression)}</div>
+      ${balancingNote}
+      <table class="eval-table">
+        <thead>
+          <tr>
+            <th>Model</th>
+            <th>Validation ${isRegression ? "RMSE" : "accuracy (balanced, macro F1)"}</th>
+            <th>Test ${isRegression ? "RMSE" : "accuracy (balanced, macro F1)"}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <details>
+        <summary>Baseline metrics on the test rows</summary>
+        ${details}
+      </details>
+    </div>
+  `;
+}
+
+// Accuracy gaps inside ~2 standard errors of the test set are called a tie
+function describeBaselineVerdict(network, best, isRegression) {
+  const n = network.test.n;
+  if (!n) return "No test rows — nothing to compare.";
+
+  if (isRegression) {
+    const diff = best.test.rmse - network.test.rmse;
+    return diff > 0
+      ? `The network's test RMSE is ${formatPct(diff)} lower than the best baseline (${best.label}).`
+      : `The network does not beat ${best.label}: its test RMSE is ${formatPct(-diff)} higher.`;
+  }
+
+  const diff = network.test.accuracy - best.test.accuracy;
+  const p = (network.test.accuracy + best.test.accuracy) / 2;
+  const noise = 2 * Math.sqrt((2 * p * (1 - p)) / n);
+  const pts = `${Math.abs(diff * 100).toFixed(1)} pts`;
+
+  if (Math.abs(diff) <= noise) {
+    return `The network and the best baseline (${best.label}) are within noise on ${n} test rows (${pts} apart).`;
+  }
+  return diff > 0
+    ? `The network beats the best baseline (${best.label}) by ${pts} on the test rows.`
+    : `The network does not beat ${best.label}: ${pts} behind on the test rows.`;
+}
@@ -0,0 +1,289 @@
+/* chart.js — interactive history chart (p5 instance mode, so the global sketch stays canvas-free)
+   - Price line + volume bars over time, each day colour-coded by its Fear & Greed label
+   - Optional second strip with the model's predicted label per day (after training)
+   - Wheel = zoom around the cursor, drag = pan, hover = tooltip, click = fill the prediction form
+   - Redraws on demand only (noLoop), nothing runs while the mouse is elsewhere
+*/
+
+const LABEL_COLORS = {
+  "Extreme Fear": "#ff0000",
+  Fear: "#ff6600",
+  Neutral: "#ffaa00",
+  Greed: "#31fa03",
+  "Extreme Greed": "#00ff88",
+};
+
+const CHART_HEIGHT = 380;
+const CHART_PAD = { left: 80, right: 12, top: 12, bottom: 24 };
+const CHART_MIN_DAYS = 14;
+
+function createHistoryChart(containerId, { onDayClick } = {}) {
+  const state = {
+    rows: [],
+    predictions: new Map(), // date → predicted label
+    view: { start: 0, end: 0 }, // [start, end) row indices
+    hover: -1,
+    drag: null,
+  };
+
+  let instance = null;
+
+  const sketch = (p) => {
+    p.setup = () => {
+      const container = document.getElementById(containerId);
+      p.createCanvas(container?.clientWidth || 600, CHART_HEIGHT);
+      p.textFont("monospace");
+      p.noLoop();
+    };
+
+    p.windowResized = () => {
+      const container = document.getElementById(containerId);
+      if (container) p.resizeCanvas(container.clientWidth, CHART_HEIGHT);
+    };
+
+    p.draw = () => drawChart(p, state);
+
+    p.mouseMoved = () => {
+      const idx = isInside(p) ? indexAtX(p, state, p.mouseX) : -1;
+      if (idx !== state.hover) {
+        state.hover = idx;
+        p.redraw();
+      }
+    };
+
+    p.mouseWheel = (event) => {
+      if (!isInside(p) || !state.rows.length) return;
+
+      const anchor = indexAtX(p, state, p.mouseX);
+      const factor = event.delta > 0 ? 1.2 : 1 / 1.2;
+      zoomView(state, anchor, factor);
+      p.redraw();
+      return false; // keep the page from scrolling
+    };
+
+    p.mousePressed = () => {
+      if (!isInside(p)) return;
+      state.drag = { x: p.mouseX, start: state.view.start, end: state.view.end, moved: false };
+    };
+
+    p.mouseDragged = () => {
+      if (!state.drag) return;
+
+      const dx = p.mouseX - state.drag.x;
+      if (Math.abs(dx) > 4) state.drag.moved = true;
+
+      const span = state.drag.end - state.drag.start;
+      const shift = Math.round((-dx / plotWidth(p)) * span);
+      setView(state, state.drag.start + shift, state.drag.end + shift);
+      p.redraw();
+      return false;
+    };
+
+    p.mouseReleased = () => {
+      const drag = state.drag;
+      state.drag = null;
+      if (!drag || drag.moved || !isInside(p)) return;
+
+      const idx = indexAtX(p, state, p.mouseX);
+      if (idx >= 0 && onDayClick) onDayClick(state.rows[idx]);
+    };
+  };
+
+  instance = new p5(sketch, containerId);
+
+  return {
+    setRows(rows) {
+      state.rows = rows;
+      state.hover = -1;
+      setView(state, 0, rows.length);
+      instance.redraw();
+    },
+    setPredictions(map) {
+      state.predictions = map ?? new Map();
+      instance.redraw();
+    },
+    resetZoom() {
+      setView(state, 0, state.rows.length);
+      instance.redraw();
+    },
+  };
+}
+
+/* -----------------------------
+   View window
+------------------------------ */
+function setView(state, start, end) {
+  const n = state.rows.length;
+  const span = Math.min(n, Math.max(CHART_MIN_DAYS, end - start));
+
+  start = Math.max(0, Math.min(start, n - span));
+  state.view = { start, end: start + span };
+}
+
+function zoomView(state, anchor, factor) {
+  const { start, end } = state.view;
+  const span = end - start;
+  const newSpan = Math.round(span * factor);
+  const rel = anchor >= 0 ? (anchor - start) / span : 0.5;
+  const newStart = Math.round((anchor >= 0 ? anchor : start + span / 2) - rel * newSpan);
+  setView(state, newStart, newStart + newSpan);
+}
+
+/* -----------------------------
+   Geometry
+------------------------------ */
+function plotWidth(p) {
+  return p.width - CHART_PAD.left - CHART_PAD.right;
+}
+
+function chartLayout(p) {
+  const top = CHART_PAD.top;
+  const bottom = p.height - CHART_PAD.bottom;
+  const h = bottom - top;
+
+  const priceBottom = top + h * 0.6;
+  const stripH = 10;
+  const actualStrip = priceBottom + 6;
+  const predictedStrip = actualStrip + stripH + 4;
+  const volumeTop = predictedStrip + stripH + 8;
+
+  return { top, bottom, priceBottom, stripH, actualStrip, predictedStrip, volumeTop };
+}
+
+function isInside(p) {
+  return p.mouseX >= CHART_PAD.left && p.mouseX <= p.width - CHART_PAD.right && p.mouseY >= 0 && p.mouseY <= p.height;
+}
+
+function indexAtX(p, state, x) {
+  const { start, end } = state.view;
+  if (end <= start) return -1;
+
+  const rel = (x - CHART_PAD.left) / plotWidth(p);
+  const idx = start + Math.floor(rel * (end - start));
+  return idx >= start && idx < end ? idx : -1;
+}
+
+/* -----------------------------
+   Drawing
+------------------------------ */
+function drawChart(p, state) {
+  p.clear();
+  p.background(3, 15, 118, 200);
+
+  const rows = state.rows.slice(state.view.start, state.view.end);
+  if (!rows.length) {
+    p.fill(255);
+    p.noStroke();
+    p.textAlign(p.CENTER, p.CENTER);
+    p.text("Loading history…", p.width / 2, p.height / 2);
+    return;
+  }
+
+  const L = chartLayout(p);
+  const w = plotWidth(p);
+  const barW = w / rows.length;
+  const xAt = (i) => CHART_PAD.left + i * barW + barW / 2;
+
+  const rates = rows.map((r) => r.rate);
+  const lo = Math.min(...rates);
+  const hi = Math.max(...rates);
+  const yPrice = (v) => p.map(v, lo, hi || lo + 1, L.priceBottom, L.top);
+
+  const maxVol = Math.max(...rows.map((r) => r.volume)) || 1;
+  const yVol = (v) => p.map(v, 0, maxVol, L.bottom, L.volumeTop);
+
+  // label strips + volume bars
+  p.noStroke();
+  rows.forEach((r, i) => {
+    const x = CHART_PAD.left + i * barW;
+    const color = LABEL_COLORS[r.label] ?? "#888888";
+
+    p.fill(color);
+    p.rect(x, L.actualStrip, Math.max(1, barW), L.stripH);
+
+    const predicted = state.predictions.get(r.date);
+    if (predicted) {
+      p.fill(LABEL_COLORS[predicted] ?? "#888888");
+      p.rect(x, L.predictedStrip, Math.max(1, barW), L.stripH);
+    }
+
+    p.fill(p.color(color + "99"));
+    p.rect(x, yVol(r.volume), Math.max(1, barW - 1), L.bottom - yVol(r.volume));
+  });
+
+  // price line
+  p.noFill();
+  p.stroke("#ff00aa");
+  p.strokeWeight(2);
+  p.beginShape();
+  rows.forEach((r, i) => p.vertex(xAt(i), yPrice(r.rate)));
+  p.endShape();
+
+  drawAxes(p, L, rows, lo, hi, maxVol, state.predictions.size > 0);
+
+  // hover
+  const h = state.hover - state.view.start;
+  if (h >= 0 && h < rows.length) {
+    const r = rows[h];
+    p.stroke(255, 180);
+    p.strokeWeight(1);
+    p.line(xAt(h), L.top, xAt(h), L.bottom);
+    p.noStroke();
+    p.fill("#31fa03");
+    p.circle(xAt(h), yPrice(r.rate), 8);
+    drawTooltip(p, xAt(h), yPrice(r.rate), r, state.predictions.get(r.date));
+  }
+}
+
+function drawAxes(p, L, rows, lo, hi, maxVol, hasPredictions) {
+  p.noStroke();
+  p.fill(255, 200);
+  p.textSize(10);
+
+  p.textAlign(p.RIGHT, p.CENTER);
+  p.text(formatCompactUSD(hi), CHART_PAD.left - 6, L.top + 4);
+  p.text(formatCompactUSD(lo), CHART_PAD.left - 6, L.priceBottom);
+  p.text("F&G", CHART_PAD.left - 6, L.actualStrip + L.stripH / 2);
+  if (hasPredictions) p.text("Model", CHART_PAD.left - 6, L.predictedStrip + L.stripH / 2);
+  p.text(`Vol ${formatCompactUSD(maxVol)}`, CHART_PAD.left - 6, L.volumeTop + 4);
+
+  p.textAlign(p.LEFT, p.TOP);
+  p.text(rows[0].date, CHART_PAD.left, L.bottom + 6);
+  p.textAlign(p.RIGHT, p.TOP);
+  p.text(rows[rows.length - 1].date, p.width - CHART_PAD.right, L.bottom + 6);
+}
+
+function drawTooltip(p, x, y, row, predicted) {
+  const lines = [
+    row.date,
+    `Price  ${formatCompactUSD(row.rate)}`,
+    `Volume ${formatCompactUSD(row.volume)}`,
+    `F&G    ${row.label}`,
+  ];
+  if (predicted) lines.push(`Model  ${predicted}`);
+
+  p.textSize(11);
+  const boxW = Math.max(...lines.map((l) => p.textWidth(l))) + 16;
+  const boxH = lines.length * 15 + 10;
+
+  // keep the box on-canvas
+  let bx = x + 12;
+  if (bx + boxW > p.width) bx = x - boxW - 12;
+  const by = Math.max(4, Math.min(y - boxH / 2, p.height - boxH - 4));
+
+  p.fill(20, 1, 37, 235);
+  p.stroke("#31fa03");
+  p.rect(bx, by, boxW, boxH, 6);
+
+  p.noStroke();
+  p.fill(255);
+  p.textAlign(p.LEFT, p.TOP);
+  lines.forEach((l, i) => p.text(l, bx + 8, by + 6 + i * 15));
+}
+
+function formatCompactUSD(x) {
+  if (x >= 1e9) return `$${(x / 1e9).toFixed(1)}B`;
+  if (x >= 1e6) return `$${(x / 1e6).toFixed(1)}M`;
+  if (x >= 1e3) return `$${(x / 1e3).toFixed(1)}k`;
+  return `$${Math.round(x)}`;
+}
@@ -0,0 +1,142 @@
+/* class-balance.js — uneven label counts: show them, and optionally even them out for training
+   - Distribution: count and share per label, in the mode's class order
+   - Class weights: n / (classes × count) per class, so a rare class's mistakes cost more in the loss;
+     handed to tf's fit() (training worker, sequence model)
+   - Oversampling tops every class up to the largest by drawing its rows again; undersampling cuts every class
+     down to the smallest. Seeded, kept in date order, train rows only — validation and test keep the real
+     distribution, so the metrics still describe it
+   - ml5's train() has no class-weight option: models trained by ml5 on the page oversample instead
+   - No DOM access at load time: training-worker.js imports this file
+*/
+
+const CLASS_BALANCING = {
+  none: "None",
+  weights: "Class-weighted loss",
+  oversample: "Oversample minority classes",
+  undersample: "Undersample majority classes",
+};
+
+/* -----------------------------
+   Distribution / weights
+------------------------------ */
+// → [{ label, count, share }] in `order` (labels missing from it are appended, most common first)
+function labelDistribution(values, order = []) {
+  const counts = new Map(order.map((l) => [l, 0]));
+  const extra = new Map();
+  for (const v of values) {
+    if (v === undefined || v === null || v === "") continue;
+    const label = String(v);
+    const into = counts.has(label) ? counts : extra;
+    into.set(label, (into.get(label) ?? 0) + 1);
+  }
+
+  const total = values.length;
+  return [...counts, ...[...extra].sort((a, b) => b[1] - a[1])].map(([label, count]) => ({
+    label,
+    count,
+    share: total ? count / total : 0,
+  }));
+}
+
+// { label: weight }; a class with half the average count weighs 2
+function classWeights(values) {
+  const present = labelDistribution(values).filter((d) => d.count > 0);
+  return Object.fromEntries(present.map((d) => [d.label, values.length / (present.length * d.count)]));
+}
+
+// The same, keyed by position in `classes` — the shape tf's fit() takes as classWeight
+function classWeightsByIndex(values, classes) {
+  const weights = classWeights(values);
+  return Object.fromEntries(classes.map((c, i) => [i, weights[String(c)] ?? 1]));
+}
+
+/* -----------------------------
+   Resampling
+------------------------------ */
+// The rows a classifier trains on. "weights" leaves them alone (the weights go to fit()), unless the trainer
+// can't take weights — then it oversamples. Regression targets are never resampled.
+function balancedTrainingRows(examples, config, task, { classOf = (ex) => ex.target, weights = true } = {}) {
+  if (task !== "classification") return examples;
+
+  const method = config.balancing === "weights" && !weights ? "oversample" : config.balancing;
+  return resampleByClass(examples, method, classOf);
+}
+
+function resampleByClass(examples, method, classOf, seed = 1) {
+  const groups = new Map();
+  for (const ex of examples) {
+    const label = String(classOf(ex));
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(ex);
+  }
+
+  if (groups.size < 2 || !["oversample", "undersample"].includes(method)) return examples;
+
+  const sizes = [...groups.values()].map((rows) => rows.length);
+  const goal = method === "oversample" ? Math.max(...sizes) : Math.min(...sizes);
+  const random = seededRandom(seed);
+  const picked = [];
+
+  for (const rows of groups.values()) {
+    if (goal >= rows.length) {
+      // every row once, then random repeats
+      picked.push(...rows);
+      for (let i = rows.length; i < goal; i++) picked.push(rows[Math.floor(random() * rows.length)]);
+    } else {
+      // partial Fisher–Yates: `goal` distinct rows
+      const pool = rows.slice();
+      for (let i = 0; i < goal; i++) {
+        const j = i + Math.floor(random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+      }
+      picked.push(...pool.slice(0, goal));
+    }
+  }
+
+  return picked.sort((a, b) => a.index - b.index);
+}
+
+function describeBalancing(config) {
+  return config.balancing === "none" ? "" : CLASS_BALANCING[config.balancing].toLowerCase();
+}
+
+/* -----------------------------
+   HTML renderers
+------------------------------ */
+function renderBalancingOptionsHTML(selected) {
+  return Object.entries(CLASS_BALANCING)
+    .map(([key, label]) => `<option value="${key}" ${key === selected ? "selected" : ""}>${label}</option>`)
+    .join("");
+}
+
+// distribution: labelDistribution(); colors: { label: css colour } (optional)
+function renderLabelDistributionHTML(title, distribution, colors = {}) {
+  const counted = distribution.filter((d) => d.count > 0);
+  if (!counted.length) return "";
+
+  const largest = counted.reduce((a, b) => (b.count > a.count ? b : a));
+  const smallest = counted.reduce((a, b) => (b.count < a.count ? b : a));
+
+  const rows = distribution
+    .map((d) => {
+      const width = ((d.count / largest.count) * 100).toFixed(1);
+      const color = colors[d.label] ? `style="color:${colors[d.label]}"` : "";
+      return `
+        <div class="prob-row">
+          <span class="prob-label" ${color}>${d.label}</span>
+          <span class="prob-track"><span class="prob-fill" style="width:${width}%"></span></span>
+          <span class="prob-value">${formatPct(d.share)} <span>(${d.count})</span></span>
+        </div>`;
+    })
+    .join("");
+
+  return `
+    <div class="label-distribution">
+      <div class="eval-title">${title}</div>
+      <div class="prob-bars">${rows}</div>
+      <p class="prediction-note">
+        "${largest.label}" is ${(largest.count / smallest.count).toFixed(1)}× as common as "${smallest.label}":
+        always answering "${largest.label}" would already score ${formatPct(largest.share)}.
+      </p>
+    </div>`;
+}
@@ -0,0 +1,104 @@
+/* dataset-upload.js — bring your own CSV: column mapping + validation report
+   - The four fields the model reads, and header names they're guessed from
+   - HTML renderers for the mapping selects and for validateDatasetRows()'s report (dataset.js)
+   - Header names and labels come from the user's file, so they're escaped before rendering
+*/
+
+const DATASET_FIELDS = [
+  { key: "date", label: "Date (YYYY-MM-DD or timestamp)", aliases: ["date", "day", "time", "timestamp"] },
+  { key: "rate", label: "Price (USD)", aliases: ["rate", "price", "close", "adj close", "close price"] },
+  { key: "volume", label: "Volume (USD)", aliases: ["volume", "vol", "total volume", "volume usd"] },
+  {
+    key: "label",
+    label: "Fear & Greed label",
+    aliases: ["prediction", "label", "classification", "value_classification", "sentiment"],
+  },
+];
+
+// Longest list the report prints per issue
+const REPORT_LIST_LIMIT = 10;
+
+/* -----------------------------
+   Column mapping
+------------------------------ */
+// { date, rate, volume, label } → header name (null if nothing looks right)
+function guessColumnMap(fields) {
+  const byName = new Map(fields.map((f) => [String(f).trim().toLowerCase(), f]));
+  return Object.fromEntries(
+    DATASET_FIELDS.map((field) => [field.key, field.aliases.map((a) => byName.get(a)).find(Boolean) ?? null])
+  );
+}
+
+function renderColumnMapHTML(fields, map) {
+  return DATASET_FIELDS.map((field) => {
+    const options = fields
+      .map((f) => {
+        const name = escapeHTML(f);
+        return `<option value="${name}" ${f === map[field.key] ? "selected" : ""}>${name}</option>`;
+      })
+      .join("");
+
+    return `
+      <div class="input-group">
+        <label for="map-${field.key}">${field.label}</label>
+        <select id="map-${field.key}"><option value="">— choose a column —</option>${options}</select>
+      </div>`;
+  }).join("");
+}
+
+/* -----------------------------
+   Validation report
+------------------------------ */
+function renderDatasetReportHTML(report, name) {
+  const dropped = report.skipped.length + report.duplicates.length;
+  const tooFew =
+    report.kept < MIN_DATASET_ROWS
+      ? `<p class="eval-note">Only ${report.kept} usable rows — at least ${MIN_DATASET_ROWS} are needed to train.</p>`
+      : "";
+
+  const unknown = Object.entries(report.unknownLabels)
+    .sort((a, b) => b[1] - a[1])
+    .map(([label, n]) => `"${escapeHTML(label)}" × ${n}`);
+
+  const sections = [
+    reportListHTML("Skipped rows", report.skipped, (s) => `line ${s.line}: ${escapeHTML(s.reason)}`),
+    reportListHTML("Duplicate dates (first row kept)", report.duplicates, (d) => `line ${d.line}: ${d.date}`),
+    reportListHTML(
+      "Out-of-order dates (rows are sorted)",
+      report.outOfOrder,
+      (o) => `line ${o.line}: ${o.date} after ${o.after}`
+    ),
+    reportListHTML(`Unknown labels (expected: ${SENTIMENT_LABELS.join(", ")})`, unknown, (u) => u),
+    reportListHTML("Gaps", report.gaps, (g) => `${g.from} → ${g.to} (${g.missing} missing)`),
+    reportListHTML("Outliers (kept — check they're real)", report.outliers, (o) => {
+      const what = o.field === "rate" ? "daily move to" : "volume";
+      return `${o.date}: ${what} ${o.value.toLocaleString()} (robust z ${o.z.toFixed(1)})`;
+    }),
+  ].join("");
+
+  return `
+    <div class="eval-card">
+      <h3 class="eval-title">${escapeHTML(name)}</h3>
+      <div class="eval-accuracy">${report.kept} of ${report.parsed} rows usable <span>(${dropped} dropped)</span></div>
+      ${tooFew}
+      ${sections || "<p>No issues found.</p>"}
+    </div>
+  `;
+}
+
+function reportListHTML(title, items, describe) {
+  if (!items.length) return "";
+
+  const shown = items.slice(0, REPORT_LIST_LIMIT).map((item) => `<li>${describe(item)}</li>`).join("");
+  const more = items.length > REPORT_LIST_LIMIT ? `<li>… and ${items.length - REPORT_LIST_LIMIT} more</li>` : "";
+
+  return `
+    <div class="report-section">
+      <strong>${title}: ${items.length}</strong>
+      <ul>${shown}${more}</ul>
+    </div>`;
+}
+
+function escapeHTML(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
@@ -0,0 +1,231 @@
+/* dataset.js — a Fear & Greed CSV → clean, date-sorted history rows + a validation report
+   - Shared by the page and training-worker.js (no DOM), so both read the CSV the same way
+   - Rows: { date: "YYYY-MM-DD", volume, rate, label }
+   - Any CSV works: columns are mapped to fields ({ date, volume, rate, label } → header name)
+   - Report: skipped rows (with the reason), duplicate and out-of-order dates, unknown labels, gaps, outliers
+*/
+
+const DATASET_URL = "./dataset_btc_fear_greed_copy.csv";
+
+// Fear & Greed classes, most fearful first (confusion matrix order)
+const SENTIMENT_LABELS = ["Extreme Fear", "Fear", "Neutral", "Greed", "Extreme Greed"];
+
+// Row field → CSV header of the bundled file
+const DEFAULT_COLUMN_MAP = { date: "date", volume: "volume", rate: "rate", label: "prediction" };
+
+// Features need ~35 days of warm-up, and the split still needs rows on every side
+const MIN_DATASET_ROWS = 100;
+
+// Robust z-score (median / MAD) above which a daily return or volume is reported as an outlier
+const OUTLIER_Z = 8;
+const OUTLIER_MIN_ROWS = 30;
+
+// Resolves with { rows, parsed, report } (parsed = raw CSV rows before cleaning)
+async function parseDatasetCSV(source = DATASET_URL, columns = DEFAULT_COLUMN_MAP) {
+  const { data } = await readCSV(source);
+  const { rows, report } = validateDatasetRows(data, columns);
+  return { rows, parsed: data.length, report };
+}
+
+// source: URL or File → { data: [{ header: value }], fields: [header] }
+function readCSV(source) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(source, {
+      download: typeof source === "string",
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      complete: (results) => {
+        resolve({
+          data: Array.isArray(results.data) ? results.data : [],
+          fields: results.meta?.fields ?? [],
+        });
+      },
+      error: (err) => reject(err),
+    });
+  });
+}
+
+function cleanDatasetRows(rows, columns = DEFAULT_COLUMN_MAP) {
+  return validateDatasetRows(rows, columns).rows;
+}
+
+/* -----------------------------
+   Validation
+------------------------------ */
+// Keeps the first row of a duplicated date; out-of-order rows are kept and sorted
+function validateDatasetRows(raw, columns = DEFAULT_COLUMN_MAP) {
+  const report = {
+    parsed: raw.length,
+    kept: 0,
+    skipped: [], // [{ line, reason }]
+    duplicates: [], // [{ line, date }]
+    outOfOrder: [], // [{ line, date, after }]
+    unknownLabels: {}, // raw label → count
+    gaps: [], // [{ from, to, missing }]
+    outliers: [], // [{ date, field, value, z }]
+  };
+
+  const out = [];
+  const seen = new Set();
+  let prevDate = "";
+
+  raw.forEach((row, i) => {
+    const line = i + 2; // line 1 is the header
+    const skip = (reason) => report.skipped.push({ line, reason });
+
+    const date = normalizeDate(row?.[columns.date]);
+    if (!date) return skip("date missing or not YYYY-MM-DD");
+
+    const rate = parseNumber(row[columns.rate]);
+    if (!(rate > 0)) return skip("rate is not a positive number");
+
+    const volume = parseNumber(row[columns.volume]);
+    if (!(volume >= 0)) return skip("volume is not a number ≥ 0");
+
+    const rawLabel = String(row[columns.label] ?? "").trim();
+    const label = normalizeLabel(rawLabel);
+    if (!label) {
+      if (!rawLabel) return skip("label missing");
+      report.unknownLabels[rawLabel] = (report.unknownLabels[rawLabel] ?? 0) + 1;
+      return skip(`unknown label "${rawLabel}"`);
+    }
+
+    if (prevDate && date < prevDate) report.outOfOrder.push({ line, date, after: prevDate });
+    prevDate = date;
+
+    if (seen.has(date)) {
+      report.duplicates.push({ line, date });
+      return;
+    }
+    seen.add(date);
+
+    out.push({ date, volume, rate, label });
+  });
+
+  // ISO dates sort lexicographically
+  out.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  report.kept = out.length;
+  report.gaps = findDateGaps(out);
+  report.outliers = findOutliers(out);
+
+  return { rows: out, report };
+}
+
+// YYYY-MM-DD (also / or . separators, optional time part) → "YYYY-MM-DD", "" if not a real date.
+// Timestamps become their UTC day: Date objects (readCSV's dynamic typing turns full ISO datetimes into
+// those) and Unix epochs in seconds or milliseconds.
+function normalizeDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? "" : value.toISOString().slice(0, 10);
+
+  const epoch = epochMillis(value);
+  if (epoch !== null) return new Date(epoch).toISOString().slice(0, 10);
+
+  const m = String(value ?? "").trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T ])/);
+  if (!m) return "";
+
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const date = new Date(Date.UTC(y, mo - 1, d));
+  if (date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) return "";
+  return date.toISOString().slice(0, 10);
+}
+
+// Whole seconds or milliseconds since 1970 → ms, or null. Ten digits and up only (from Sep 2001), so a
+// number like 20240105 isn't read as a 1970 timestamp; below 1e11 it's seconds (1e11 ms is 1973).
+function epochMillis(value) {
+  const s = String(value ?? "").trim();
+  if (!/^\d{10,13}$/.test(s)) return null;
+
+  const n = Number(s);
+  return n < 1e11 ? n * 1000 : n;
+}
+
+// Numbers may come as "28,478.48" or "$28478"
+function parseNumber(value) {
+  if (typeof value === "number") return value;
+  const s = String(value ?? "").replace(/[$,_\s]/g, "");
+  return s ? Number(s) : NaN;
+}
+
+// Case / spacing insensitive: "extreme  fear" → "Extreme Fear"
+function normalizeLabel(value) {
+  const key = String(value ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  return SENTIMENT_LABELS.find((l) => l.toLowerCase() === key) ?? null;
+}
+
+function findDateGaps(rows) {
+  const gaps = [];
+  for (let i = 1; i < rows.length; i++) {
+    const days = Math.round((Date.parse(rows[i].date) - Date.parse(rows[i - 1].date)) / 86400000);
+    if (days > 1) gaps.push({ from: rows[i - 1].date, to: rows[i].date, missing: days - 1 });
+  }
+  return gaps;
+}
+
+// Daily log returns and log volumes far from the median (fat tails are normal here, hence the high bar)
+function findOutliers(rows) {
+  const outliers = [];
+
+  const check = (field, values, dates, raw) => {
+    if (values.length < OUTLIER_MIN_ROWS) return;
+    const med = median(values);
+    const mad = median(values.map((v) => Math.abs(v - med)));
+    if (!(mad > 0)) return;
+
+    values.forEach((v, i) => {
+      const z = (0.6745 * (v - med)) / mad;
+      if (Math.abs(z) > OUTLIER_Z) outliers.push({ date: dates[i], field, value: raw[i], z });
+    });
+  };
+
+  const withVolume = rows.filter((r) => r.volume > 0);
+  check(
+    "volume",
+    withVolume.map((r) => Math.log(r.volume)),
+    withVolume.map((r) => r.date),
+    withVolume.map((r) => r.volume)
+  );
+
+  const returns = rows.slice(1).map((r, i) => Math.log(r.rate / rows[i].rate));
+  check(
+    "rate",
+    returns,
+    rows.slice(1).map((r) => r.date),
+    rows.slice(1).map((r) => r.rate)
+  );
+
+  return outliers.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+function median(values) {
+  if (!values.length) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function convertDate(dateStr) {
+  // expects YYYY-MM-DD
+  const parts = String(dateStr).split("-");
+  if (parts.length !== 3) return 0;
+
+  const y = Number(parts[0]);
+  const m = Number(parts[1]);
+  const d = Number(parts[2]);
+
+  if (!Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(d)) return 0;
+
+  const inputDate = new Date(y, m - 1, d);
+  const refDate = new Date(2018, 0, 1);
+
+  const diffDays = Math.floor((inputDate - refDate) / (1000 * 60 * 60 * 24));
+  return Number.isFinite(diffDays) ? diffDays : 0;
+}
+
+// "YYYY-MM-DD" ± whole days (UTC, so no daylight-saving shifts)
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
@@ -0,0 +1,160 @@
+/* ensemble.js — several networks on the same split, their predictions averaged
+   - Members differ by random initialization and, with bootstrap on, by a resample of the training rows
+     (seeded per member, so member k draws the same rows every time for the same split)
+   - Classification: class probabilities averaged; regression: mean of the predicted returns
+   - Agreement: share of members whose own answer is the ensemble's (same sign, for returns)
+   - Disagreement: how far members sit from the average — mean total-variation distance between each
+     member's probabilities and the ensemble's (0 = identical, 1 = no overlap), or the std dev of the returns
+   - No DOM access at load time: training-worker.js imports this file for the bootstrap sample
+*/
+
+// Below this share of members agreeing, the result card calls the ensemble split
+const ENSEMBLE_LOW_AGREEMENT = 0.6;
+
+/* -----------------------------
+   Training rows per member
+------------------------------ */
+function memberTrainingRows(examples, config, member) {
+  if (!config.bootstrap || config.ensembleSize < 2) return examples;
+  return bootstrapSample(examples, member + 1);
+}
+
+// Same number of rows, drawn with replacement, kept in date order
+function bootstrapSample(examples, seed) {
+  const random = seededRandom(seed);
+  return examples
+    .map(() => Math.floor(random() * examples.length))
+    .sort((a, b) => a - b)
+    .map((i) => examples[i]);
+}
+
+// mulberry32 — small, fast, and the same sequence in the page and the worker
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* -----------------------------
+   Combining predictions
+------------------------------ */
+// memberResults: one ml5 result array per member → the same shape, averaged
+function combineMemberResults(memberResults, task) {
+  return task === "regression" ? averageRegressionResults(memberResults) : averageClassResults(memberResults);
+}
+
+// → [{ label, confidence }], best first; a class a member never saw counts as 0 for it (bootstrap)
+function averageClassResults(memberResults) {
+  const sums = new Map();
+  for (const results of memberResults) {
+    for (const r of results ?? []) {
+      if (typeof r?.confidence !== "number") continue;
+      const label = String(r.label);
+      sums.set(label, (sums.get(label) ?? 0) + r.confidence);
+    }
+  }
+
+  return [...sums]
+    .map(([label, sum]) => ({ label, confidence: sum / memberResults.length }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+function averageRegressionResults(memberResults) {
+  const values = memberResults.map(memberValue).filter(Number.isFinite);
+  const first = memberResults[0]?.[0] ?? {};
+  return [{ ...first, value: values.length ? mean(values) : NaN }];
+}
+
+// combined: combineMemberResults() for the same input → { task, members, agreement, disagreement }
+function ensembleAgreement(memberResults, combined, task) {
+  const members = memberResults.length;
+
+  if (task === "regression") {
+    const values = memberResults.map(memberValue).filter(Number.isFinite);
+    const sign = Math.sign(combined[0]?.value);
+    const agreeing = values.filter((v) => Math.sign(v) === sign).length;
+    return { task, members, agreement: agreeing / members, disagreement: stdDev(values) ?? 0 };
+  }
+
+  const average = new Map(combined.map((r) => [r.label, r.confidence]));
+  const top = combined[0]?.label;
+  let agreeing = 0;
+  let distance = 0;
+
+  for (const results of memberResults) {
+    const own = new Map((results ?? []).map((r) => [String(r.label), r.confidence]));
+    const best = [...own].sort((a, b) => b[1] - a[1])[0]?.[0];
+    if (best === top) agreeing++;
+
+    let d = 0;
+    for (const label of new Set([...average.keys(), ...own.keys()])) {
+      d += Math.abs((own.get(label) ?? 0) - (average.get(label) ?? 0));
+    }
+    distance += d / 2;
+  }
+
+  return { task, members, agreement: agreeing / members, disagreement: distance / members };
+}
+
+function memberValue(results) {
+  return Number((Array.isArray(results) ? results[0] : results)?.value);
+}
+
+/* -----------------------------
+   HTML renderers
+------------------------------ */
+function renderAgreementHTML(a) {
+  if (!a || a.members < 2) return "";
+
+  const agreeing = Math.round(a.agreement * a.members);
+  const what = a.task === "regression" ? "agree on the direction" : "agree";
+  const spread =
+    a.task === "regression"
+      ? `spread ± ${(a.disagreement * 100).toFixed(2)}%`
+      : `disagreement ${a.disagreement.toFixed(2)}`;
+  const split = a.agreement < ENSEMBLE_LOW_AGREEMENT;
+
+  return `
+    <div class="ensemble-agreement ${split ? "split" : ""}">
+      ${agreeing} of ${a.members} models ${what}${split ? " — the ensemble is split" : ""} · ${spread}
+    </div>`;
+}
+
+// rows: [{ split, members: [metrics per member], ensemble: metrics }] (evaluation.js metrics)
+function renderEnsembleComparisonHTML(rows, task) {
+  const isRegression = task === "regression";
+  const score = (m) => (isRegression ? m.rmse : m.accuracy);
+  const cell = (m) =>
+    isRegression ? `${formatPct(m.rmse)} <span>(${formatPct(m.directionAccuracy)} hit)</span>` : formatPct(m.accuracy);
+
+  const size = rows[0]?.members.length ?? 0;
+  const body = rows
+    .filter((r) => r.ensemble.n)
+    .map(({ split, members, ensemble }) => {
+      const scores = members.map(score);
+      const range = `${formatPct(Math.min(...scores))} – ${formatPct(Math.max(...scores))}`;
+      return `
+        <tr>
+          <td>${split}</td>
+          <td>${cell(members[0])}</td>
+          <td>${formatPct(mean(scores))} <span>(${range})</span></td>
+          <td>${cell(ensemble)}</td>
+        </tr>`;
+    })
+    .join("");
+
+  return `
+    <div class="eval-card ensemble-comparison">
+      <h3 class="eval-title">Ensemble vs single model</h3>
+      <p>${isRegression ? "RMSE, lower is better" : "Accuracy"} — member 1 is what a single training run gives you.</p>
+      <table class="eval-table">
+        <thead><tr><th>Split</th><th>Single model</th><th>Member average (range)</th><th>Ensemble of ${size}</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    </div>
+  `;
+}
@@ -0,0 +1,226 @@
+/* evaluation.js — hold-out split + classification metrics
+   - Chronological split (oldest → train, then validation, newest → test) so no future rows leak into training;
+     targets that look N days ahead drop N rows before each boundary, so none of them reaches into the next part
+   - Accuracy, per-class precision/recall/F1 and a confusion matrix (rows = actual, cols = predicted)
+   - Balanced accuracy (mean recall) and macro-F1 over the classes present, so a model that ignores a rare
+     class can't hide behind the common ones
+   - Regression mode: MAE, RMSE and direction hit rate on forward returns
+   - Pure functions + HTML renderers; sketch.js decides when to run them
+*/
+
+const DEFAULT_SPLIT = { validation: 0.15, test: 0.15 };
+
+/* -----------------------------
+   Chronological split
+------------------------------ */
+// embargo: rows dropped at the end of train and of validation (targetHorizon() in targets.js)
+function splitChronological(rows, split = DEFAULT_SPLIT, embargo = 0) {
+  // rows must already be sorted by date (oldest first)
+  const n = rows.length;
+  const nTest = Math.floor(n * clampFraction(split.test));
+  const nVal = Math.floor(n * clampFraction(split.validation));
+  const nTrain = Math.max(0, n - nVal - nTest);
+  // a part followed by another ends `embargo` rows early
+  const part = (start, end) => rows.slice(start, end < n ? Math.max(start, end - embargo) : end);
+
+  return {
+    train: part(0, nTrain),
+    validation: part(nTrain, nTrain + nVal),
+    test: rows.slice(nTrain + nVal),
+  };
+}
+
+function clampFraction(x) {
+  const v = Number(x);
+  if (!Number.isFinite(v) || v < 0) return 0;
+  return Math.min(v, 0.45);
+}
+
+function describeSplit(parts) {
+  const range = (rows) => (rows.length ? `${rows[0].date} → ${rows[rows.length - 1].date}` : "—");
+  return {
+    train: { count: parts.train.length, range: range(parts.train) },
+    validation: { count: parts.validation.length, range: range(parts.validation) },
+    test: { count: parts.test.length, range: range(parts.test) },
+  };
+}
+
+/* -----------------------------
+   Metrics
+------------------------------ */
+function computeClassificationMetrics(actual, predicted, labels) {
+  const index = new Map(labels.map((l, i) => [l, i]));
+  const k = labels.length;
+  const matrix = Array.from({ length: k }, () => new Array(k).fill(0));
+
+  let correct = 0;
+  let n = 0;
+
+  for (let i = 0; i < actual.length; i++) {
+    const a = index.get(actual[i]);
+    const p = index.get(predicted[i]);
+    if (a === undefined || p === undefined) continue;
+
+    matrix[a][p]++;
+    if (a === p) correct++;
+    n++;
+  }
+
+  const perClass = labels.map((label, i) => {
+    const tp = matrix[i][i];
+    const support = sum(matrix[i]);
+    const predictedCount = sum(matrix.map((row) => row[i]));
+
+    const precision = predictedCount ? tp / predictedCount : 0;
+    const recall = support ? tp / support : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+
+    return { label, precision, recall, f1, support };
+  });
+
+  // Averaged over the classes that occur: a class the model never gets right pulls both down,
+  // however rare it is — plain accuracy barely notices
+  const present = perClass.filter((c) => c.support > 0);
+  const average = (key) => (present.length ? sum(present.map((c) => c[key])) / present.length : 0);
+
+  return {
+    n,
+    accuracy: n ? correct / n : 0,
+    balancedAccuracy: average("recall"),
+    macroF1: average("f1"),
+    perClass,
+    labels: labels.slice(),
+    matrix,
+  };
+}
+
+function computeRegressionMetrics(actual, predicted) {
+  let n = 0;
+  let absErr = 0;
+  let sqErr = 0;
+  let sameSign = 0;
+
+  for (let i = 0; i < actual.length; i++) {
+    const a = actual[i];
+    const p = predicted[i];
+    if (!Number.isFinite(a) || !Number.isFinite(p)) continue;
+
+    absErr += Math.abs(a - p);
+    sqErr += (a - p) ** 2;
+    if (Math.sign(a) === Math.sign(p)) sameSign++;
+    n++;
+  }
+
+  return {
+    n,
+    mae: n ? absErr / n : 0,
+    rmse: n ? Math.sqrt(sqErr / n) : 0,
+    directionAccuracy: n ? sameSign / n : 0,
+  };
+}
+
+function sum(arr) {
+  return arr.reduce((a, b) => a + b, 0);
+}
+
+/* -----------------------------
+   HTML renderers
+------------------------------ */
+function formatPct(x) {
+  return `${(x * 100).toFixed(1)}%`;
+}
+
+function renderMetricsHTML(title, metrics) {
+  if (!metrics || metrics.n === 0) {
+    return `<div class="eval-card"><h3 class="eval-title">${title}</h3><p>No rows to evaluate.</p></div>`;
+  }
+
+  const classRows = metrics.perClass
+    .map(
+      (c) => `
+        <tr>
+          <td>${c.label}</td>
+          <td>${formatPct(c.precision)}</td>
+          <td>${formatPct(c.recall)}</td>
+          <td>${formatPct(c.f1)}</td>
+          <td>${c.support}</td>
+        </tr>`
+    )
+    .join("");
+
+  const unlearned = metrics.perClass.filter((c) => c.support > 0 && c.recall === 0).map((c) => c.label);
+
+  return `
+    <div class="eval-card">
+      <h3 class="eval-title">${title}</h3>
+      <div class="eval-accuracy">
+        Accuracy: ${formatPct(metrics.accuracy)} <span>(${metrics.n} rows)</span>
+        · balanced ${formatPct(metrics.balancedAccuracy)} · macro-F1 ${metrics.macroF1.toFixed(2)}
+      </div>
+      ${unlearned.length ? `<p class="eval-note">Never predicted correctly: ${unlearned.join(", ")}.</p>` : ""}
+      <table class="eval-table">
+        <thead><tr><th>Class</th><th>Precision</th><th>Recall</th><th>F1</th><th>Rows</th></tr></thead>
+        <tbody>${classRows}</tbody>
+      </table>
+      ${renderConfusionMatrixHTML(metrics)}
+    </div>
+  `;
+}
+
+function renderRegressionMetricsHTML(title, metrics) {
+  if (!metrics || metrics.n === 0) {
+    return `<div class="eval-card"><h3 class="eval-title">${title}</h3><p>No rows to evaluate.</p></div>`;
+  }
+
+  return `
+    <div class="eval-card">
+      <h3 class="eval-title">${title}</h3>
+      <div class="eval-accuracy">Direction hit rate: ${formatPct(metrics.directionAccuracy)} <span>(${metrics.n} rows)</span></div>
+      <table class="eval-table">
+        <thead><tr><th>MAE</th><th>RMSE</th></tr></thead>
+        <tbody><tr><td>${formatPct(metrics.mae)}</td><td>${formatPct(metrics.rmse)}</td></tr></tbody>
+      </table>
+    </div>
+  `;
+}
+
+function renderConfusionMatrixHTML(metrics) {
+  const { labels, matrix } = metrics;
+  const max = Math.max(1, ...matrix.flat());
+
+  const head = labels.map((l) => `<th>${l}</th>`).join("");
+  const body = matrix
+    .map((row, i) => {
+      const cells = row
+        .map((v, j) => {
+          const alpha = (0.1 + 0.8 * (v / max)).toFixed(2);
+          const cls = i === j ? "cm-diag" : "cm-off";
+          return `<td class="${cls}" style="--cm-alpha:${alpha}">${v}</td>`;
+        })
+        .join("");
+      return `<tr><th>${labels[i]}</th>${cells}</tr>`;
+    })
+    .join("");
+
+  return `
+    <table class="eval-table confusion-matrix">
+      <caption>Confusion matrix (rows = actual, columns = predicted)</caption>
+      <thead><tr><th></th>${head}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
+}
+
+function renderSplitHTML(summary) {
+  const row = (name, s) => `<tr><td>${name}</td><td>${s.count}</td><td>${s.range}</td></tr>`;
+  return `
+    <table class="eval-table eval-split">
+      <thead><tr><th>Split</th><th>Rows</th><th>Dates</th></tr></thead>
+      <tbody>
+        ${row("Train", summary.train)}
+        ${row("Validation", summary.validation)}
+        ${row("Test", summary.test)}
+      </tbody>
+    </table>
+  `;
+}
@@ -0,0 +1,167 @@
+/* explain.js — which inputs the model actually leans on
+   - Global: permutation importance on the validation rows — shuffle one input across the rows, re-score,
+     and the drop in accuracy (or rise in RMSE) is how much the model needed it
+   - Per prediction: each input in turn is swapped for its value on a sample of training days; the change in
+     the predicted class's probability (or the predicted return) is that input's push towards the answer
+   - Works on whatever `predict` hands back (ml5 result arrays), so the ensemble is explained as a whole
+   - The raw date input gets called out when it leads: it lets the model recognise the period instead of
+     reading the market
+*/
+
+const IMPORTANCE_REPEATS = 3;
+const ATTRIBUTION_SAMPLES = 16;
+
+/* -----------------------------
+   Permutation importance
+------------------------------ */
+// predict(rows) → results per row; score(rows, results) → higher is better (accuracy, or −RMSE)
+// → [{ key, importance, sd }], most important first; importance = score lost when the input is shuffled
+async function permutationImportance(rows, keys, predict, score, repeats = IMPORTANCE_REPEATS) {
+  if (!rows.length) return [];
+
+  const base = score(rows, await predict(rows));
+  const out = [];
+
+  for (const [i, key] of keys.entries()) {
+    const drops = [];
+    for (let r = 0; r < repeats; r++) {
+      const shuffled = permuteFeature(rows, key, seededRandom(1000 * (i + 1) + r));
+      drops.push(base - score(shuffled, await predict(shuffled)));
+    }
+    out.push({ key, importance: mean(drops), sd: stdDev(drops) ?? 0 });
+  }
+
+  return out.sort((a, b) => b.importance - a.importance);
+}
+
+// Fisher–Yates over one input column; targets stay put
+function permuteFeature(rows, key, random) {
+  const values = rows.map((r) => r.inputs[key]);
+  for (let i = values.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [values[i], values[j]] = [values[j], values[i]];
+  }
+  return rows.map((r, i) => ({ ...r, inputs: { ...r.inputs, [key]: values[i] } }));
+}
+
+/* -----------------------------
+   Per-prediction attribution
+------------------------------ */
+// background: rows whose values stand in for "a typical day"; readout(results) → the number to explain
+// → [{ key, value, effect }], largest |effect| first (effect > 0: the input pushed the readout up)
+async function localAttribution(input, keys, background, predict, readout) {
+  const [original] = await predict([{ inputs: input }]);
+  const base = readout(original);
+  const out = [];
+
+  for (const key of keys) {
+    const swapped = background.map((b) => ({ inputs: { ...input, [key]: b.inputs[key] } }));
+    const results = await predict(swapped);
+    out.push({ key, value: input[key], effect: base - mean(results.map(readout)) });
+  }
+
+  return out.sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect));
+}
+
+// Seeded, so the same model explains the same input the same way
+function backgroundSample(rows, count = ATTRIBUTION_SAMPLES, seed = 1) {
+  const random = seededRandom(seed);
+  return Array.from({ length: Math.min(count, rows.length) }, () => rows[Math.floor(random() * rows.length)]);
+}
+
+function classProbability(results, label) {
+  return (results ?? []).find((r) => String(r.label) === label)?.confidence ?? 0;
+}
+
+/* -----------------------------
+   HTML renderers
+------------------------------ */
+function renderImportanceHTML(importances, task) {
+  if (!importances.length) return "";
+
+  const isRegression = task === "regression";
+  const what = isRegression ? "the RMSE grows" : "accuracy drops";
+  const format = (v) => (isRegression ? signedPct(v, 2) : `${signed(v * 100, 1)} pts`);
+
+  return `
+    <div class="eval-card feature-importance">
+      <h3 class="eval-title">Feature importance — validation rows</h3>
+      <p>
+        How much ${what} when one input is shuffled across the validation rows
+        (mean of ${IMPORTANCE_REPEATS} shuffles). Near zero: the model barely uses it; below zero: it only adds noise.
+      </p>
+      ${dateWarningHTML(importances[0]?.key, importances[0]?.importance > 0)}
+      ${renderSignedBarsHTML(
+        importances.map((imp) => ({ key: imp.key, value: imp.importance })),
+        format
+      )}
+    </div>
+  `;
+}
+
+function renderAttributionHTML(attributions, task, predicted) {
+  if (!attributions.length) return "";
+
+  const isRegression = task === "regression";
+  const target = isRegression ? "the predicted return" : `the probability of ${predicted}`;
+  const positive = isRegression ? "this input raised the forecast" : `this input pushed towards ${predicted}`;
+  const format = (v) => (isRegression ? signedPct(v, 2) : `${signed(v * 100, 1)} pts`);
+
+  return `
+    <details class="explanation">
+      <summary>Which inputs drove this?</summary>
+      <p class="prediction-note">
+        Change in ${target} when each input is swapped for its value on ${ATTRIBUTION_SAMPLES} training days.
+        Positive: ${positive}.
+      </p>
+      ${dateWarningHTML(attributions[0]?.key, attributions[0]?.effect > 0)}
+      ${renderSignedBarsHTML(
+        attributions.map((a) => ({ key: a.key, value: a.effect, title: `input value ${a.value}` })),
+        format
+      )}
+    </details>
+  `;
+}
+
+// items: [{ key, value, title? }]; bar length ∝ |value|, negative values in the second colour
+function renderSignedBarsHTML(items, format) {
+  const max = Math.max(1e-12, ...items.map((i) => Math.abs(i.value)));
+
+  const rows = items
+    .map((item) => {
+      const width = ((Math.abs(item.value) / max) * 100).toFixed(1);
+      const cls = item.value < 0 ? "importance-negative" : "";
+      return `
+        <div class="prob-row ${cls}" ${item.title ? `title="${item.title}"` : ""}>
+          <span class="prob-label">${featureLabel(item.key)}</span>
+          <span class="prob-track"><span class="prob-fill" style="width:${width}%"></span></span>
+          <span class="prob-value">${format(item.value)}</span>
+        </div>`;
+    })
+    .join("");
+
+  return `<div class="prob-bars importance-bars">${rows}</div>`;
+}
+
+function dateWarningHTML(topKey, positive) {
+  if (topKey !== "date" || !positive) return "";
+  return `
+    <p class="eval-note">
+      The raw date leads: the model is likely recognising the period rather than reading the market.
+      Untick "${featureLabel("date")}" under Settings and retrain to compare.
+    </p>`;
+}
+
+function featureLabel(key) {
+  return FEATURE_DEFS.find((f) => f.key === key)?.label ?? key;
+}
+
+// Rounded first, so float dust like -2e-16 reads +0.0 rather than -0.0
+function signed(x, digits) {
+  const v = Number(x.toFixed(digits));
+  return `${v >= 0 ? "+" : ""}${v.toFixed(digits)}`;
+}
+
+function signedPct(x, digits) {
+  return `${signed(x * 100, digits)}%`;
+}
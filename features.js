@@ -0,0 +1,187 @@
+/* features.js — time-series feature pipeline (CSV rows → model inputs)
+   - Works on date-sorted history rows { date, rate, volume }
+   - Every feature only looks backwards (row i uses rows ≤ i), so it's safe for the chronological split
+   - Training and prediction share computeFeatureTable(), so inputs are built the same way in both
+*/
+
+// key → label, lookback (rows needed before a value exists), on by default?
+const FEATURE_DEFS = [
+  { key: "date", label: "Days since 2018 (raw)", lookback: 0, defaultOn: false },
+  { key: "rate", label: "Price (raw)", lookback: 0, defaultOn: false },
+  { key: "volume", label: "Volume (raw)", lookback: 0, defaultOn: false },
+  { key: "ret1", label: "1-day return", lookback: 1, defaultOn: true },
+  { key: "ret3", label: "3-day return", lookback: 3, defaultOn: true },
+  { key: "ret7", label: "7-day return", lookback: 7, defaultOn: true },
+  { key: "volat14", label: "14-day volatility", lookback: 14, defaultOn: true },
+  { key: "volat30", label: "30-day volatility", lookback: 30, defaultOn: false },
+  { key: "volumeZ30", label: "Volume z-score (30d)", lookback: 29, defaultOn: true },
+  { key: "ma7Ratio", label: "Price / 7-day MA", lookback: 6, defaultOn: true },
+  { key: "ma30Ratio", label: "Price / 30-day MA", lookback: 29, defaultOn: true },
+  { key: "rsi14", label: "RSI (14)", lookback: 14, defaultOn: true },
+  { key: "macd", label: "MACD / price", lookback: 33, defaultOn: false },
+  { key: "macdHist", label: "MACD histogram / price", lookback: 33, defaultOn: true },
+];
+
+function defaultFeatureKeys() {
+  return FEATURE_DEFS.filter((f) => f.defaultOn).map((f) => f.key);
+}
+
+function isKnownFeature(key) {
+  return FEATURE_DEFS.some((f) => f.key === key);
+}
+
+/* -----------------------------
+   Feature table (one object per history row)
+------------------------------ */
+function computeFeatureTable(history) {
+  const n = history.length;
+  const rate = history.map((r) => r.rate);
+  const volume = history.map((r) => r.volume);
+
+  // daily simple returns; returns[0] is undefined (no previous day)
+  const returns = rate.map((p, i) => (i > 0 ? pctChange(rate[i - 1], p) : null));
+
+  const ema12 = ema(rate, 12);
+  const ema26 = ema(rate, 26);
+  const macdLine = rate.map((_, i) => ema12[i] - ema26[i]);
+  const macdSignal = ema(macdLine, 9);
+  const rsi = rsiSeries(rate, 14);
+
+  const table = new Array(n);
+
+  for (let i = 0; i < n; i++) {
+    const p = rate[i];
+
+    table[i] = {
+      date: convertDate(history[i].date),
+      rate: p,
+      volume: volume[i],
+      ret1: i >= 1 ? pctChange(rate[i - 1], p) : null,
+      ret3: i >= 3 ? pctChange(rate[i - 3], p) : null,
+      ret7: i >= 7 ? pctChange(rate[i - 7], p) : null,
+      volat14: i >= 14 ? stdDev(returns.slice(i - 13, i + 1)) : null,
+      volat30: i >= 30 ? stdDev(returns.slice(i - 29, i + 1)) : null,
+      volumeZ30: i >= 29 ? zScore(volume[i], volume.slice(i - 29, i + 1)) : null,
+      ma7Ratio: i >= 6 ? p / mean(rate.slice(i - 6, i + 1)) : null,
+      ma30Ratio: i >= 29 ? p / mean(rate.slice(i - 29, i + 1)) : null,
+      rsi14: rsi[i],
+      macd: i >= 33 ? macdLine[i] / p : null,
+      macdHist: i >= 33 ? (macdLine[i] - macdSignal[i]) / p : null,
+    };
+  }
+
+  return table;
+}
+
+function pickFeatures(featureRow, keys) {
+  const inputs = {};
+  for (const key of keys) {
+    const v = featureRow?.[key];
+    if (typeof v !== "number" || !Number.isFinite(v)) return null;
+    inputs[key] = v;
+  }
+  return inputs;
+}
+
+/* -----------------------------
+   Training examples / inference input
+------------------------------ */
+function buildFeatureExamples(history, keys) {
+  const table = computeFeatureTable(history);
+  const examples = [];
+
+  for (let i = 0; i < history.length; i++) {
+    // warm-up rows (not enough lookback) are dropped
+    const inputs = pickFeatures(table[i], keys);
+    if (!inputs) continue;
+
+    examples.push({ index: i, date: history[i].date, label: history[i].label, inputs });
+  }
+
+  return examples;
+}
+
+// History before `point.date` + the user's row, features of that last row
+function buildInferenceInputs(history, point, keys) {
+  const past = history.filter((r) => r.date < point.date);
+  const table = computeFeatureTable([...past, point]);
+  return pickFeatures(table[table.length - 1], keys);
+}
+
+function maxLookback(keys) {
+  return Math.max(0, ...FEATURE_DEFS.filter((f) => keys.includes(f.key)).map((f) => f.lookback));
+}
+
+/* -----------------------------
+   Indicator math
+------------------------------ */
+function pctChange(from, to) {
+  return from ? (to - from) / from : null;
+}
+
+function mean(arr) {
+  return arr.reduce((a, b) => a + b, 0) / arr.length;
+}
+
+function stdDev(arr) {
+  const vals = arr.filter((v) => typeof v === "number" && Number.isFinite(v));
+  if (vals.length < 2) return null;
+  const m = mean(vals);
+  return Math.sqrt(vals.reduce((a, v) => a + (v - m) ** 2, 0) / (vals.length - 1));
+}
+
+function zScore(value, window) {
+  const sd = stdDev(window);
+  return sd ? (value - mean(window)) / sd : 0;
+}
+
+function ema(values, period) {
+  const k = 2 / (period + 1);
+  const out = new Array(values.length);
+  let prev = values[0];
+  for (let i = 0; i < values.length; i++) {
+    prev = i === 0 ? values[0] : values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+// Wilder's RSI; null until `period` changes are available
+function rsiSeries(values, period) {
+  const out = new Array(values.length).fill(null);
+  let avgGain = 0;
+  let avgLoss = 0;
+
+  for (let i = 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+
+    if (i <= period) {
+      avgGain += gain / period;
+      avgLoss += loss / period;
+    } else {
+      avgGain = (avgGain * (period - 1) + gain) / period;
+      avgLoss = (avgLoss * (period - 1) + loss) / period;
+    }
+
+    if (i >= period) {
+      out[i] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+    }
+  }
+
+  return out;
+}
+
+/* -----------------------------
+   Settings UI
+------------------------------ */
+function renderFeatureTogglesHTML(activeKeys) {
+  return FEATURE_DEFS.map(
+    (f) => `
+      <label class="feature-toggle">
+        <input type="checkbox" data-feature="${f.key}" ${activeKeys.includes(f.key) ? "checked" : ""} />
+        ${f.label}
+      </label>`
+  ).join("");
+}
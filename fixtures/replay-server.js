@@ -0,0 +1,72 @@
+/* replay-server.js — local stand-in for the market/F&G APIs (Node 18+, no dependencies)
+   - Serves recorded responses: GET /<host>/<path>?<query> → fixtures/<host>/<path>.json (query ignored)
+   - Unknown paths → 404, so the app's fallback chain gets exercised too
+   - --record: misses are fetched from https://<host>/<path>?<query> and saved for next time
+   - The bundled fixtures are shaped like the real responses but built from the CSV (Jan–Mar 2023;
+     F&G values are class midpoints, three CryptoCompare days are left out to show the CSV gap fill).
+     Re-record them with --record for real data.
+
+   node fixtures/replay-server.js [--port 8787] [--record]
+   then open http://localhost:5503/?apiBase=http://localhost:8787
+*/
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const args = process.argv.slice(2);
+const PORT = Number(args[args.indexOf("--port") + 1]) || 8787;
+const RECORD = args.includes("--record");
+const ROOT = __dirname;
+
+function fixturePath(pathname) {
+  const clean = path.normalize(decodeURIComponent(pathname)).replace(/^([/\\])+|[/\\]+$/g, "");
+  const file = path.join(ROOT, `${clean}.json`);
+  return file.startsWith(ROOT + path.sep) ? file : null;
+}
+
+async function record(url, file) {
+  const res = await fetch(`https:/${url.pathname}${url.search}`, { headers: { Accept: "application/json" } });
+  const body = await res.text();
+  if (!res.ok) return { status: res.status, body };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, body);
+  console.log(`recorded ${url.pathname}`);
+  return { status: 200, body };
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const headers = { "Access-Control-Allow-Origin": "*", "Content-Type": "application/json" };
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, { ...headers, "Access-Control-Allow-Headers": "Accept" });
+    res.end();
+    return;
+  }
+
+  const file = fixturePath(url.pathname);
+  let status = 404;
+  let body = JSON.stringify({ error: `no fixture for ${url.pathname}` });
+
+  try {
+    if (file && fs.existsSync(file)) {
+      status = 200;
+      body = fs.readFileSync(file, "utf8");
+    } else if (file && RECORD) {
+      ({ status, body } = await record(url, file));
+    }
+  } catch (err) {
+    status = 502;
+    body = JSON.stringify({ error: err.message });
+  }
+
+  console.log(`${status} ${req.method} ${url.pathname}`);
+  res.writeHead(status, headers);
+  res.end(body);
+});
+
+server.listen(PORT, () => {
+  console.log(`Replay server on http://localhost:${PORT}${RECORD ? " (recording misses)" : ""}`);
+});
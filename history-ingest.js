@@ -0,0 +1,223 @@
+/* history-ingest.js — live Fear & Greed history joined with the asset's real daily price/volume
+   - F&G labels: Alternative.me (full history)
+   - Price/volume: CoinGecko market_chart (last 365 days), falling back to CryptoCompare histoday (~2000 days)
+   - Prices are the selected asset's (assets.js); the F&G labels are market-wide, the same for every asset
+   - Rows are joined by UTC date; dates the live sources can't complete come from the bundled CSV (BTC only)
+   - Any source failing → the CSV alone, with the reason in the report
+   - Responses are cached in IndexedDB (api-cache.js), so a reload within the TTL, or offline, skips the network
+   - Same { date, volume, rate, label } rows as dataset.js, plus `source` ("live" | "csv" | "observed")
+   - Also hands back the F&G labels by date, so recorded observations can be labelled (observations.js)
+   - Note: CSV volume is Yahoo-style USD volume; live providers aggregate differently, so the scale can shift
+*/
+
+const FNG_HISTORY_URL = "https://api.alternative.me/fng/?limit=0&format=json";
+const FNG_TIMEOUT_MS = 8000;
+
+const PRICE_HISTORY_PROVIDERS = {
+  coingecko: {
+    label: "CoinGecko",
+    timeoutMs: 8000,
+    url: (asset) =>
+      `https://api.coingecko.com/api/v3/coins/${asset.coingeckoId}/market_chart?vs_currency=usd&days=365&interval=daily`,
+    parse: parseCoinGeckoHistory,
+  },
+  cryptocompare: {
+    label: "CryptoCompare",
+    timeoutMs: 8000,
+    url: (asset) => `https://min-api.cryptocompare.com/data/v2/histoday?fsym=${asset.symbol}&tsym=USD&limit=2000`,
+    parse: parseCryptoCompareHistory,
+  },
+};
+
+const PRICE_HISTORY_ORDER = ["coingecko", "cryptocompare"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* -----------------------------
+   Ingestion
+------------------------------ */
+// Resolves with { rows, report, labels } — never rejects; a failed source just means fewer live rows
+async function ingestLiveHistory(csvRows, { asset = getAsset(DEFAULT_ASSET), ttlMs = 0, fetchImpl = fetch } = {}) {
+  const report = {
+    live: 0,
+    csv: 0,
+    observed: 0, // rows recorded by Fetch Live Data (observations.js)
+    fngDays: 0,
+    priceDays: 0,
+    priceSource: null,
+    incomplete: 0, // live F&G days with no price and no CSV row
+    cached: [], // [{ label, storedAt, stale }] for sources served from the cache
+    errors: [],
+  };
+
+  const noteCache = (result) => {
+    if (result.cached) {
+      report.cached.push({ label: result.source.label, storedAt: result.storedAt, stale: result.stale });
+    }
+    report.errors.push(...result.failures.map((f) => `${f.sourceLabel}: ${f.message}`));
+  };
+
+  let fng = null;
+  let prices = null;
+
+  try {
+    const result = await fetchFearGreedHistory({ ttlMs, fetchImpl });
+    noteCache(result);
+    fng = result.value;
+    report.fngDays = fng.size;
+  } catch (err) {
+    report.errors.push(...describeFailures(err));
+  }
+
+  // No labels → nothing to join the prices to
+  if (fng) {
+    try {
+      const result = await fetchPriceHistory(asset, PRICE_HISTORY_ORDER, { ttlMs, fetchImpl });
+      noteCache(result);
+      prices = result.value;
+      report.priceDays = prices.size;
+      report.priceSource = result.source.label;
+    } catch (err) {
+      report.errors.push(...describeFailures(err));
+    }
+  }
+
+  const { rows, counts } = mergeHistory(csvRows, fng ?? new Map(), prices ?? new Map());
+  Object.assign(report, counts);
+
+  return { rows, report, labels: fng ?? new Map() };
+}
+
+// Both fetchers resolve like fetchFirstAvailable (api-cache.js), value = Map keyed by date
+function fetchFearGreedHistory(opts) {
+  const source = {
+    id: "alternative",
+    label: "Alternative.me",
+    url: FNG_HISTORY_URL,
+    timeoutMs: FNG_TIMEOUT_MS,
+    parse: (data) => nonEmpty(parseFearGreedHistory(data)),
+  };
+  return fetchFirstAvailable([source], opts);
+}
+
+function fetchPriceHistory(asset, order = PRICE_HISTORY_ORDER, opts) {
+  const sources = order
+    .filter((id) => PRICE_HISTORY_PROVIDERS[id])
+    .map((id) => ({
+      ...PRICE_HISTORY_PROVIDERS[id],
+      id,
+      url: PRICE_HISTORY_PROVIDERS[id].url(asset),
+      parse: (data) => nonEmpty(PRICE_HISTORY_PROVIDERS[id].parse(data)),
+    }));
+  return fetchFirstAvailable(sources, opts);
+}
+
+function nonEmpty(map) {
+  if (!map.size) throw new Error("no usable rows in the response");
+  return map;
+}
+
+function describeFailures(err) {
+  return err?.failures?.length
+    ? err.failures.map((f) => `${f.sourceLabel}: ${f.message}`)
+    : [err?.message ?? String(err)];
+}
+
+// { data: [{ value, value_classification, timestamp }] } → Map date → label
+function parseFearGreedHistory(data) {
+  const out = new Map();
+  if (!Array.isArray(data?.data)) throw new Error("unexpected response format");
+
+  for (const item of data.data) {
+    const label = String(item?.value_classification ?? "").trim();
+    const ts = Number(item?.timestamp) * 1000;
+    if (!SENTIMENT_LABELS.includes(label) || !Number.isFinite(ts)) continue;
+    out.set(utcDate(ts), label);
+  }
+
+  return out;
+}
+
+// Daily points are stamped 00:00 UTC and hold the price at that moment (≈ the previous day's close);
+// the last point is "now" and is skipped as an unfinished day
+function parseCoinGeckoHistory(data) {
+  if (!Array.isArray(data?.prices) || !Array.isArray(data?.total_volumes)) {
+    throw new Error("unexpected response format");
+  }
+
+  const volumes = new Map(data.total_volumes.map(([ts, v]) => [ts, v]));
+  const out = new Map();
+
+  for (const [ts, price] of data.prices) {
+    if (ts % DAY_MS !== 0) continue;
+    addPriceDay(out, utcDate(ts - DAY_MS), price, volumes.get(ts));
+  }
+
+  return out;
+}
+
+// { Data: { Data: [{ time, close, volumeto }] } }, time = 00:00 UTC of that day; today is unfinished
+function parseCryptoCompareHistory(data) {
+  const points = data?.Data?.Data;
+  if (data?.Response === "Error" || !Array.isArray(points)) {
+    throw new Error(data?.Message || "unexpected response format");
+  }
+
+  const today = utcDate(Date.now());
+  const out = new Map();
+
+  for (const p of points) {
+    const date = utcDate(Number(p?.time) * 1000);
+    if (date >= today) continue;
+    addPriceDay(out, date, p?.close, p?.volumeto);
+  }
+
+  return out;
+}
+
+function addPriceDay(map, date, rate, volume) {
+  const r = Number(rate);
+  const v = Number(volume);
+  // CryptoCompare pads days before its history starts with zeros
+  if (!date || !Number.isFinite(r) || r <= 0 || !Number.isFinite(v) || v <= 0) return;
+  map.set(date, { rate: r, volume: v });
+}
+
+/* -----------------------------
+   Join + CSV gap fill
+------------------------------ */
+function mergeHistory(csvRows, fngByDate, pricesByDate) {
+  const byDate = new Map(csvRows.map((r) => [r.date, { ...r, source: r.source ?? "csv" }]));
+  const counts = { live: 0, csv: 0, observed: 0, incomplete: 0 };
+
+  for (const [date, label] of fngByDate) {
+    const price = pricesByDate.get(date);
+    if (price) {
+      byDate.set(date, { date, volume: price.volume, rate: price.rate, label, source: "live" });
+    } else if (!byDate.has(date)) {
+      counts.incomplete++;
+    }
+  }
+
+  const rows = [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  for (const r of rows) counts[r.source]++;
+
+  return { rows, counts };
+}
+
+function utcDate(ms) {
+  const d = new Date(ms);
+  return Number.isFinite(d.getTime()) ? d.toISOString().slice(0, 10) : "";
+}
+
+function describeIngestReport(report) {
+  const sources = report.priceSource ? `Alternative.me + ${report.priceSource}` : "live sources";
+  const total = report.live + report.csv + report.observed;
+  const observed = report.observed ? `, ${report.observed} recorded locally` : "";
+  const parts = [`${total} rows: ${report.live} from ${sources}, ${report.csv} from the CSV${observed}`];
+  if (report.incomplete) parts.push(`${report.incomplete} live F&G days without a price skipped`);
+  for (const c of report.cached) {
+    parts.push(`${c.label} ${c.stale ? "offline copy" : "cached"} from ${describeAge(c.storedAt)}`);
+  }
+  return parts.join(" · ");
+}
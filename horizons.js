@@ -0,0 +1,130 @@
+/* horizons.js — Fear & Greed N days ahead, one model per horizon
+   - Horizon h: features of day t, label of the row dated t + h calendar days (the date the forecast shows and
+     prediction-log.js scores against); days whose target date is missing from the data are dropped
+   - Each horizon gets its own chronological split (h rows embargoed before each boundary, as in targets.js)
+     and its own test accuracy, scored next to "today's label persists" and "most common label" — the further
+     out, the closer any model gets to those
+   - The forecast starts from the latest known day: its features go through every horizon's model
+*/
+
+const SENTIMENT_HORIZONS = [1, 3, 7, 30];
+
+/* -----------------------------
+   Targets
+------------------------------ */
+// examples: buildFeatureExamples() → same rows, `label` replaced by the one dated `horizon` days later
+// (`today` keeps the day's own label for the persistence score)
+function shiftSentimentLabels(examples, history, horizon) {
+  const byDate = new Map(history.map((row) => [row.date, row]));
+  const out = [];
+
+  for (const ex of examples) {
+    const later = byDate.get(addDays(ex.date, horizon));
+    if (!SENTIMENT_LABELS.includes(later?.label)) continue;
+    out.push({ ...ex, today: ex.label, label: later.label, targetDate: later.date });
+  }
+
+  return out;
+}
+
+/* -----------------------------
+   Scoring
+------------------------------ */
+// → { n, accuracy, persistence, majority } on the test rows; predicted: one label per test row
+function scoreHorizon(train, test, predicted) {
+  const n = test.length;
+  if (!n) return { n, accuracy: null, persistence: null, majority: null };
+
+  const common = mostCommon(train.map((r) => r.label));
+  const share = (hit) => test.filter(hit).length / n;
+
+  return {
+    n,
+    accuracy: share((r, i) => predicted[i] === r.label),
+    persistence: share((r) => r.today === r.label),
+    majority: share((r) => r.label === common),
+  };
+}
+
+// ml5 results → { label: p } in SENTIMENT_LABELS order
+function sentimentProbabilities(results) {
+  const byLabel = new Map((results ?? []).map((r) => [String(r.label), r.confidence]));
+  return Object.fromEntries(SENTIMENT_LABELS.filter((l) => byLabel.has(l)).map((l) => [l, byLabel.get(l)]));
+}
+
+/* -----------------------------
+   HTML renderers
+------------------------------ */
+// today: { date, label }; forecasts: [{ horizon, date, label, confidences, score, testRange }]
+function renderForecastHTML(today, forecasts) {
+  return `
+    <p class="prediction-note">
+      From the latest known day, ${today.date}. Each horizon has its own model, trained on the oldest rows of
+      its own split and scored on its newest.
+    </p>
+    ${renderForecastStripHTML(today, forecasts)}
+    ${renderHorizonAccuracyHTML(forecasts)}
+  `;
+}
+
+function renderForecastStripHTML(today, forecasts) {
+  const day = (when, date, label, detail, cls = "") => {
+    const color = LABEL_COLORS[label] ?? "#fff";
+    return `
+      <div class="forecast-day ${cls}" style="border-color:${color}">
+        <span class="forecast-when">${when}</span>
+        <span class="forecast-date">${date}</span>
+        <strong style="color:${color}">${label}</strong>
+        <span>${detail}</span>
+      </div>`;
+  };
+
+  const days = forecasts.map((f) => {
+    const confidence = f.confidences[f.label] ?? 0;
+    const uncertain = predictionUncertainty(f.confidences)?.uncertain;
+    return day(
+      `+${f.horizon}d`,
+      f.date,
+      f.label,
+      `${formatPct(confidence)}${uncertain ? " · uncertain" : ""}`,
+      uncertain ? "uncertain" : ""
+    );
+  });
+
+  return `<div class="forecast-strip">${day("Today", today.date, today.label, "known")}${days.join("")}</div>`;
+}
+
+function renderHorizonAccuracyHTML(forecasts) {
+  const rows = forecasts
+    .map(({ horizon, score, testRange }) => {
+      if (!score.n) return `<tr><td>${horizon}d</td><td colspan="4">Not enough rows for a test split</td></tr>`;
+
+      const best = Math.max(score.persistence, score.majority);
+      const beats = score.accuracy > best;
+      return `
+        <tr>
+          <td>${horizon}d</td>
+          <td>${score.n} <span>(${testRange})</span></td>
+          <td class="${beats ? "horizon-beats" : ""}">${formatPct(score.accuracy)}</td>
+          <td>${formatPct(score.persistence)}</td>
+          <td>${formatPct(score.majority)}</td>
+        </tr>`;
+    })
+    .join("");
+
+  return `
+    <div class="eval-card horizon-accuracy">
+      <h3 class="eval-title">Accuracy by horizon — test rows</h3>
+      <p>
+        Highlighted where the model beats both simple guesses. "Today's label" is a strong rival at short
+        horizons: Fear &amp; Greed moves slowly.
+      </p>
+      <table class="eval-table">
+        <thead>
+          <tr><th>Horizon</th><th>Test rows</th><th>Model</th><th>Today's label</th><th>Most common</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
@@ -0,0 +1,126 @@
+/* market-data.js — live price/volume for the selected asset from pluggable providers
+   - Adapters: CoinGecko, CryptoCompare, Blockchain.info (BTC only), plus a local JSON file (mock) for offline tests
+   - url(asset) / parse(data, asset): the query and the response fields depend on the asset (assets.js)
+   - Ordered fallback: each provider gets its own timeout, its response is validated, first good one wins
+   - Snapshots say where they came from ({ source }) and whether they were cached, so the UI can show it
+   - Timeouts, cache and the ?apiBase= stand-in server live in api-cache.js
+*/
+
+const MARKET_PROVIDERS = {
+  coingecko: {
+    label: "CoinGecko",
+    timeoutMs: 6000,
+    url: (asset) =>
+      `https://api.coingecko.com/api/v3/simple/price?ids=${asset.coingeckoId}` +
+      "&vs_currencies=usd&include_24hr_vol=true&include_24hr_change=true",
+    parse: (data, asset) => ({
+      price: data?.[asset.coingeckoId]?.usd,
+      volume: data?.[asset.coingeckoId]?.usd_24h_vol,
+      change: data?.[asset.coingeckoId]?.usd_24h_change,
+    }),
+  },
+  cryptocompare: {
+    label: "CryptoCompare",
+    timeoutMs: 6000,
+    url: (asset) => `https://min-api.cryptocompare.com/data/pricemultifull?fsyms=${asset.symbol}&tsyms=USD`,
+    parse: (data, asset) => ({
+      price: data?.RAW?.[asset.symbol]?.USD?.PRICE,
+      volume: data?.RAW?.[asset.symbol]?.USD?.VOLUME24HOURTO,
+      change: data?.RAW?.[asset.symbol]?.USD?.CHANGEPCT24HOUR,
+    }),
+  },
+  blockchain: {
+    label: "Blockchain.info",
+    timeoutMs: 6000,
+    supports: (asset) => asset.symbol === "BTC",
+    url: () => "https://blockchain.info/ticker",
+    // ticker has no 24h volume — the form keeps the volume it already has
+    parse: (data) => ({ price: data?.USD?.last, volume: null, change: null }),
+  },
+  mock: {
+    label: "Local mock file",
+    timeoutMs: 2000,
+    url: () => "./mock-market-data.json",
+    parse: (data, asset) => ({
+      price: data?.[asset.coingeckoId]?.price,
+      volume: data?.[asset.coingeckoId]?.volume,
+      change: data?.[asset.coingeckoId]?.change24h,
+    }),
+  },
+};
+
+// "auto" chain; the mock is only used when picked explicitly
+const DEFAULT_PROVIDER_ORDER = ["coingecko", "cryptocompare", "blockchain"];
+
+/* -----------------------------
+   Fetching
+------------------------------ */
+// Resolves with { price, volume, change, source, sourceLabel, fetchedAt, cached, stale, failures }
+// (cached/stale: served from the IndexedDB cache, see api-cache.js)
+async function fetchMarketSnapshot(asset, order = DEFAULT_PROVIDER_ORDER, { ttlMs = 0, fetchImpl = fetch } = {}) {
+  const ids = order.filter((id) => MARKET_PROVIDERS[id]);
+  const sources = ids
+    .filter((id) => MARKET_PROVIDERS[id].supports?.(asset) ?? true)
+    .map((id) => ({
+      ...MARKET_PROVIDERS[id],
+      id,
+      url: MARKET_PROVIDERS[id].url(asset),
+      parse: (data) => validateMarketSnapshot(MARKET_PROVIDERS[id].parse(data, asset)),
+    }));
+
+  if (!sources.length) {
+    const names = ids.map((id) => MARKET_PROVIDERS[id].label).join(", ");
+    throw new Error(`${names} has no ${asset.symbol} quotes — pick another source.`);
+  }
+
+  const result = await fetchFirstAvailable(sources, { ttlMs, fetchImpl });
+  console.log(`✓ ${result.source.label} ${asset.symbol} live data${result.cached ? " (cached)" : ""}:`, result.value);
+
+  return {
+    ...result.value,
+    source: result.source.id,
+    sourceLabel: result.source.label,
+    fetchedAt: new Date(result.storedAt).toISOString(),
+    cached: result.cached,
+    stale: result.stale,
+    failures: result.failures,
+  };
+}
+
+// Price must be a positive number; volume/change may be missing (null) but not garbage
+function validateMarketSnapshot(raw) {
+  const price = Number(raw?.price);
+  if (raw?.price == null || !Number.isFinite(price) || price <= 0) {
+    throw new Error("unexpected response format (no price)");
+  }
+
+  const optional = (v, name, min = -Infinity) => {
+    if (v == null) return null;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < min) throw new Error(`unexpected response format (bad ${name})`);
+    return n;
+  };
+
+  return {
+    price,
+    volume: optional(raw.volume, "volume", 0),
+    change: optional(raw.change, "24h change"),
+  };
+}
+
+/* -----------------------------
+   Settings UI
+------------------------------ */
+// "auto" → fallback chain, otherwise a single provider
+function providerOrder(choice) {
+  return MARKET_PROVIDERS[choice] ? [choice] : DEFAULT_PROVIDER_ORDER;
+}
+
+function renderProviderOptionsHTML(selected = "auto") {
+  const auto = `Auto (${DEFAULT_PROVIDER_ORDER.map((id) => MARKET_PROVIDERS[id].label).join(" → ")})`;
+  const options = [["auto", auto], ...Object.entries(MARKET_PROVIDERS).map(([id, p]) => [id, p.label])];
+
+  return options
+    .map(([id, label]) => `<option value="${id}" ${id === selected ? "selected" : ""}>${label}</option>`)
+    .join("");
+}
@@ -0,0 +1,174 @@
+/* model-store.js — persist trained ml5 models (IndexedDB + downloadable file)
+   - A "bundle" = tf.js weights/topology + ml5 metadata (normalization min/max, label set) + app info
+   - Same bundle shape for IndexedDB and for the exported .json file (weights base64 in the file)
+   - Restore writes straight into the ml5 wrapper, mirroring what ml5's own load() does
+   - An ensemble is the first member's bundle with the others under `members` (bundles without info)
+*/
+
+const MODEL_BUNDLE_FORMAT = "btc-prediction-model";
+const MODEL_BUNDLE_VERSION = 1;
+const MODEL_STORE = "models";
+const MODEL_STORE_LATEST_KEY = "latest";
+
+/* -----------------------------
+   Capture / apply
+------------------------------ */
+async function captureModelBundle(nn, info = {}) {
+  const tfModel = nn?.neuralNetwork?.model;
+  const meta = nn?.neuralNetworkData?.meta;
+
+  if (!tfModel || !meta) {
+    throw new Error("Model has no trained weights or metadata to save.");
+  }
+
+  return createModelBundle(meta, await captureModelArtifacts(tfModel), info);
+}
+
+// Also used by training-worker.js, which has a plain tf.js model and builds the ml5 meta itself
+async function captureModelArtifacts(tfModel) {
+  let artifacts = null;
+  await tfModel.save(
+    tf.io.withSaveHandler(async (a) => {
+      artifacts = a;
+      return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: "JSON" } };
+    })
+  );
+
+  if (!artifacts) throw new Error("tf.js did not return model artifacts.");
+  return artifacts;
+}
+
+function createModelBundle(meta, artifacts, info = {}) {
+  return {
+    format: MODEL_BUNDLE_FORMAT,
+    version: MODEL_BUNDLE_VERSION,
+    savedAt: new Date().toISOString(),
+    info: { ...info },
+    // JSON round-trip detaches ml5's live object
+    meta: JSON.parse(JSON.stringify(meta)),
+    modelTopology: artifacts.modelTopology,
+    weightSpecs: artifacts.weightSpecs,
+    weightData: flattenWeightData(artifacts.weightData),
+  };
+}
+
+async function applyModelBundle(nn, bundle) {
+  validateModelBundle(bundle);
+
+  const tfModel = await tf.loadLayersModel(
+    tf.io.fromMemory({
+      modelTopology: bundle.modelTopology,
+      weightSpecs: bundle.weightSpecs,
+      weightData: bundle.weightData,
+    })
+  );
+
+  // Same fields ml5's load() sets after reading model.json + model_meta.json
+  nn.neuralNetwork.model = tfModel;
+  nn.neuralNetwork.isTrained = true;
+  nn.neuralNetwork.isCompiled = true;
+  nn.neuralNetwork.isLayered = true;
+
+  nn.neuralNetworkData.meta = bundle.meta;
+  nn.neuralNetworkData.isMetadataReady = true;
+
+  return bundle;
+}
+
+function validateModelBundle(bundle) {
+  if (!bundle || bundle.format !== MODEL_BUNDLE_FORMAT) {
+    throw new Error("Not a Bitcoin Prediction model file.");
+  }
+  if (bundle.version > MODEL_BUNDLE_VERSION) {
+    throw new Error(`Model file version ${bundle.version} is newer than this app supports.`);
+  }
+  if (!bundle.modelTopology || !Array.isArray(bundle.weightSpecs) || !bundle.weightData) {
+    throw new Error("Model file is missing weights or topology.");
+  }
+  if (!bundle.meta?.inputs || !bundle.meta?.outputs) {
+    throw new Error("Model file is missing normalization metadata.");
+  }
+  if (bundle.members !== undefined && !Array.isArray(bundle.members)) {
+    throw new Error("Model file has a malformed ensemble.");
+  }
+  bundle.members?.forEach(validateModelBundle);
+}
+
+// tf.js >= 4.10 may hand back an array of buffers
+function flattenWeightData(weightData) {
+  if (Array.isArray(weightData)) return tf.io.concatenateArrayBuffers(weightData);
+  return weightData;
+}
+
+/* -----------------------------
+   IndexedDB
+------------------------------ */
+function saveModelBundleToDB(bundle, key = MODEL_STORE_LATEST_KEY) {
+  return idbPut(MODEL_STORE, key, bundle);
+}
+
+function loadModelBundleFromDB(key = MODEL_STORE_LATEST_KEY) {
+  return idbGet(MODEL_STORE, key);
+}
+
+/* -----------------------------
+   File export / import
+------------------------------ */
+function modelBundleToBlob(bundle) {
+  return new Blob([JSON.stringify(encodeBundleWeights(bundle))], { type: "application/json" });
+}
+
+function encodeBundleWeights(bundle) {
+  const fileBundle = { ...bundle, weightData: arrayBufferToBase64(bundle.weightData) };
+  if (bundle.members) fileBundle.members = bundle.members.map(encodeBundleWeights);
+  return fileBundle;
+}
+
+function decodeBundleWeights(bundle) {
+  if (typeof bundle?.weightData === "string") bundle.weightData = base64ToArrayBuffer(bundle.weightData);
+  if (Array.isArray(bundle?.members)) bundle.members.forEach(decodeBundleWeights);
+  return bundle;
+}
+
+async function modelBundleFromFile(file) {
+  const text = await file.text();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (_) {
+    throw new Error("Model file is not valid JSON.");
+  }
+
+  decodeBundleWeights(parsed);
+  validateModelBundle(parsed);
+  return parsed;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const chunk = 0x8000;
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+function base64ToArrayBuffer(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
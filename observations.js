@@ -0,0 +1,99 @@
+/* observations.js — daily price/volume recorded by Fetch Live Data, so the dataset keeps growing
+   - IndexedDB, one record per asset and UTC date: { asset, date, rate, volume, label, source, recordedAt };
+     a new fetch replaces the day (keys: observationKey() in assets.js)
+   - label is the day's actual Fear & Greed class, filled in once the live history has it (same load or a later one)
+   - Only labelled observations become training rows; the CSV row wins on a date both have
+   - The merged dataset exports in the bundled CSV's schema: Index,date,volume,rate,prediction
+*/
+
+const OBSERVATIONS_STORE = "observations";
+const DATASET_CSV_COLUMNS = ["Index", "date", "volume", "rate", "prediction"];
+
+/* -----------------------------
+   Store
+------------------------------ */
+// Keeps a label / volume the day already had when the new fetch doesn't bring one
+async function recordObservation({ asset, date, rate, volume = null, label = null, source }) {
+  const key = observationKey(asset, date);
+  const prev = await idbGet(OBSERVATIONS_STORE, key);
+  const record = {
+    asset,
+    date,
+    rate,
+    volume: volume ?? prev?.volume ?? null,
+    label: label ?? prev?.label ?? null,
+    source,
+    recordedAt: Date.now(),
+  };
+
+  await idbPut(OBSERVATIONS_STORE, key, record);
+  return record;
+}
+
+// Records from before assets existed have no `asset` — they're BTC
+async function loadObservations(asset) {
+  const records = (await idbGetAll(OBSERVATIONS_STORE)).filter((r) => (r.asset ?? DEFAULT_ASSET) === asset);
+  return records.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// Fills in labels that became known (labelsByDate: Map date → F&G class); resolves with the updated records
+async function labelObservations(observations, labelsByDate) {
+  const updated = [];
+
+  for (const obs of observations) {
+    const label = labelsByDate.get(obs.date);
+    if (obs.label || !label) continue;
+
+    const record = { ...obs, label };
+    try {
+      await idbPut(OBSERVATIONS_STORE, observationKey(obs.asset ?? DEFAULT_ASSET, obs.date), record);
+      updated.push(record);
+    } catch (e) {
+      console.warn(`Could not label observation ${obs.date}:`, e);
+    }
+  }
+
+  return updated;
+}
+
+/* -----------------------------
+   Merge + export
+------------------------------ */
+// rows: dataset rows sorted by date → { rows, added, duplicates, unlabelled }
+function mergeObservations(rows, observations) {
+  const byDate = new Map(rows.map((r) => [r.date, r]));
+  const counts = { added: 0, duplicates: 0, unlabelled: 0 };
+
+  for (const obs of observations) {
+    if (byDate.has(obs.date)) {
+      counts.duplicates++;
+      continue;
+    }
+
+    const volume = Number(obs.volume);
+    const rate = Number(obs.rate);
+    if (!SENTIMENT_LABELS.includes(obs.label) || !Number.isFinite(volume) || !Number.isFinite(rate)) {
+      counts.unlabelled++;
+      continue;
+    }
+
+    byDate.set(obs.date, { date: obs.date, volume, rate, label: obs.label, source: "observed" });
+    counts.added++;
+  }
+
+  const merged = [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  return { rows: merged, ...counts };
+}
+
+// Same columns and number style as dataset_btc_fear_greed_copy.csv (whole-dollar volume, cents on the rate)
+function datasetToCSV(rows) {
+  const lines = rows.map((r, i) =>
+    [i + 1, r.date, Math.round(r.volume), r.rate.toFixed(2), csvField(r.label)].join(",")
+  );
+  return [DATASET_CSV_COLUMNS.join(","), ...lines].join("\n") + "\n";
+}
+
+function csvField(value) {
+  const s = String(value ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
@@ -0,0 +1,211 @@
+/* prediction-log.js — every prediction kept in IndexedDB, scored once its outcome is known
+   - Record: { id, asset, createdAt, date, inputs: { rate, volume }, features, mode, horizon, flatThreshold,
+               predicted (class, or the return in return mode), confidences: { class: p } (classification only),
+               modelVersion, ensemble: { members, agreement, disagreement } | null, actual, correct }
+     — actual / correct stay null until the outcome is in
+   - Outcomes: sentiment → that day's Fear & Greed label; direction / return → the price `horizon` days later
+   - Sortable table, CSV and JSON export
+*/
+
+const PREDICTION_STORE = "predictions";
+
+// Table columns; sortValue() is what a click on the header sorts by
+const PREDICTION_LOG_COLUMNS = [
+  { key: "createdAt", label: "Made", sortValue: (r) => r.createdAt },
+  { key: "date", label: "For date", sortValue: (r) => r.date },
+  { key: "mode", label: "Mode", sortValue: (r) => `${r.mode}:${String(r.horizon).padStart(3, "0")}` },
+  { key: "rate", label: "Price", sortValue: (r) => r.inputs.rate },
+  { key: "volume", label: "Volume", sortValue: (r) => r.inputs.volume },
+  { key: "predicted", label: "Predicted", sortValue: (r) => r.predicted },
+  { key: "confidence", label: "Confidence", sortValue: (r) => topConfidence(r) ?? -1 },
+  { key: "actual", label: "Actual", sortValue: (r) => (r.actual === null ? "" : String(r.actual)) },
+  { key: "correct", label: "Result", sortValue: (r) => (r.correct === null ? 0.5 : Number(r.correct)) },
+  { key: "modelVersion", label: "Model", sortValue: (r) => r.modelVersion ?? "" },
+];
+
+const DEFAULT_PREDICTION_SORT = { key: "createdAt", dir: -1 };
+
+/* -----------------------------
+   Store
+------------------------------ */
+async function logPrediction(entry) {
+  const createdAt = new Date().toISOString();
+  const record = {
+    id: `${entry.asset}:${createdAt}:${Math.random().toString(36).slice(2, 8)}`,
+    createdAt,
+    actual: null,
+    correct: null,
+    ...entry,
+  };
+
+  await idbPut(PREDICTION_STORE, record.id, record);
+  return record;
+}
+
+async function loadPredictionLog(asset) {
+  const records = await idbGetAll(PREDICTION_STORE);
+  return records.filter((r) => r.asset === asset);
+}
+
+async function clearPredictionLog(records) {
+  for (const r of records) await idbDelete(PREDICTION_STORE, r.id);
+}
+
+// Scores records whose outcome became known; resolves with the records that changed
+async function resolvePredictionOutcomes(records, rowsByDate, labelsByDate) {
+  const updated = [];
+
+  for (const record of records) {
+    if (record.actual !== null) continue;
+
+    const outcome = predictionOutcome(record, rowsByDate, labelsByDate);
+    if (!outcome) continue;
+
+    Object.assign(record, outcome);
+    try {
+      await idbPut(PREDICTION_STORE, record.id, record);
+      updated.push(record);
+    } catch (e) {
+      console.warn(`Could not store the outcome of ${record.id}:`, e);
+    }
+  }
+
+  return updated;
+}
+
+// → { actual, correct } or null while unknown
+function predictionOutcome(record, rowsByDate, labelsByDate) {
+  if (record.mode === "sentiment") {
+    const actual = labelsByDate.get(record.date);
+    return actual ? { actual, correct: actual === record.predicted } : null;
+  }
+
+  const later = rowsByDate.get(addDays(record.date, record.horizon));
+  const base = rowsByDate.get(record.date)?.rate ?? record.inputs.rate;
+  if (!later || !(base > 0)) return null;
+
+  const ret = (later.rate - base) / base;
+  if (record.mode === "direction") {
+    const actual = directionLabel(ret, record.flatThreshold ?? DEFAULT_MODE_CONFIG.flatThreshold);
+    return { actual, correct: actual === record.predicted };
+  }
+
+  // return mode: right when the sign matches (same as the direction hit rate in evaluation)
+  return { actual: ret, correct: Math.sign(ret) === Math.sign(record.predicted) };
+}
+
+function topConfidence(record) {
+  const values = Object.values(record.confidences ?? {});
+  return values.length ? Math.max(...values) : null;
+}
+
+/* -----------------------------
+   Table
+------------------------------ */
+function sortPredictionLog(records, { key, dir } = DEFAULT_PREDICTION_SORT) {
+  const column = PREDICTION_LOG_COLUMNS.find((c) => c.key === key) ?? PREDICTION_LOG_COLUMNS[0];
+  return [...records].sort((a, b) => {
+    const x = column.sortValue(a);
+    const y = column.sortValue(b);
+    return (x < y ? -1 : x > y ? 1 : 0) * dir;
+  });
+}
+
+function renderPredictionLogHTML(records, sort = DEFAULT_PREDICTION_SORT) {
+  if (!records.length) return `<p class="settings-hint">No predictions yet.</p>`;
+
+  const scored = records.filter((r) => r.correct !== null);
+  const hits = scored.filter((r) => r.correct).length;
+  const summary = scored.length
+    ? `${hits} of ${scored.length} scored predictions correct (${formatPct(hits / scored.length)})`
+    : "No outcomes known yet";
+
+  const head = PREDICTION_LOG_COLUMNS.map((c) => {
+    const arrow = c.key === sort.key ? (sort.dir > 0 ? " ▲" : " ▼") : "";
+    return `<th data-sort="${c.key}" class="sortable">${c.label}${arrow}</th>`;
+  }).join("");
+
+  const body = sortPredictionLog(records, sort)
+    .map((r) => {
+      const conf = topConfidence(r);
+      const vector = Object.entries(r.confidences ?? {})
+        .map(([label, p]) => `${label} ${formatPct(p)}`)
+        .join(" · ");
+      const result = r.correct === null ? "pending" : r.correct ? "✓" : "✗";
+
+      return `
+        <tr>
+          <td>${r.createdAt.slice(0, 16).replace("T", " ")}</td>
+          <td>${r.date}</td>
+          <td>${r.mode}${r.mode === "sentiment" ? "" : ` ${r.horizon}d`}</td>
+          <td>${formatUSD(r.inputs.rate)}</td>
+          <td>${formatCompactUSD(r.inputs.volume)}</td>
+          <td>${formatLogValue(r.predicted, r.mode)}</td>
+          <td title="${vector}">${conf === null ? "—" : formatPct(conf)}</td>
+          <td>${r.actual === null ? "—" : formatLogValue(r.actual, r.mode)}</td>
+          <td class="${r.correct === null ? "" : r.correct ? "log-hit" : "log-miss"}">${result}</td>
+          <td>${r.modelVersion ? r.modelVersion.slice(0, 16).replace("T", " ") : "—"}</td>
+        </tr>`;
+    })
+    .join("");
+
+  return `
+    <div class="eval-accuracy">${summary} <span>(${records.length} logged)</span></div>
+    <table class="eval-table prediction-log">
+      <thead><tr>${head}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
+}
+
+function formatLogValue(value, mode) {
+  if (mode !== "return") return String(value);
+  return `${value >= 0 ? "+" : ""}${(value * 100).toFixed(2)}%`;
+}
+
+/* -----------------------------
+   Export
+------------------------------ */
+// One column per class probability, for every mode present in the log
+function predictionLogToCSV(records) {
+  const classes = [...new Set(records.flatMap((r) => Object.keys(r.confidences ?? {})))];
+  const header = [
+    "createdAt",
+    "asset",
+    "date",
+    "mode",
+    "horizon",
+    "rate",
+    "volume",
+    "predicted",
+    ...classes.map((c) => `p(${c})`),
+    "actual",
+    "correct",
+    "modelVersion",
+  ];
+
+  const lines = sortPredictionLog(records, { key: "createdAt", dir: 1 }).map((r) =>
+    [
+      r.createdAt,
+      r.asset,
+      r.date,
+      r.mode,
+      r.horizon,
+      r.inputs.rate,
+      r.inputs.volume,
+      r.predicted,
+      ...classes.map((c) => r.confidences?.[c] ?? ""),
+      r.actual ?? "",
+      r.correct ?? "",
+      r.modelVersion ?? "",
+    ]
+      .map(csvField)
+      .join(",")
+  );
+
+  return [header.map(csvField).join(","), ...lines].join("\n") + "\n";
+}
+
+function predictionLogToJSON(records) {
+  return JSON.stringify(sortPredictionLog(records, { key: "createdAt", dir: 1 }), null, 2);
+}
@@ -0,0 +1,242 @@
+/* sequence-model.js — LSTM / GRU / 1D-conv alternative to the ml5 feed-forward network
+   - Input: the last N days as an [N × 7] window — daily log return, daily log volume change and that day's
+     Fear & Greed label (one-hot); target: the label of the next calendar day, as in horizons.js (days whose
+     next day is missing from the data are skipped)
+   - Return and volume channels are standardised with the train rows' mean / std
+   - Built directly on ml5's tf (passed in): LSTM, GRU or two 1D convolutions, then dropout and a softmax
+   - Optimiser and loss are the ones ml5 uses for classification (SGD at the configured learning rate,
+     categorical cross-entropy), so epochs / batch / LR / dropout / early stopping from Settings mean the same
+   - Results come back in ml5's shape ([{ label, confidence }], best first) for evaluation.js and uncertainty.js
+*/
+
+const SEQUENCE_ARCHITECTURES = {
+  lstm: "LSTM",
+  gru: "GRU",
+  conv1d: "1D convolution",
+};
+
+const DEFAULT_SEQUENCE_CONFIG = { architecture: "lstm", window: 14, units: 32 };
+
+// log return, log volume change, one-hot label
+const SEQUENCE_CHANNELS = 2 + SENTIMENT_LABELS.length;
+
+function sanitizeSequenceConfig(raw = {}) {
+  const d = DEFAULT_SEQUENCE_CONFIG;
+  const int = (v, min, max, fallback) => {
+    const n = Math.round(Number(v));
+    return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+  };
+
+  return {
+    architecture: Object.hasOwn(SEQUENCE_ARCHITECTURES, raw.architecture) ? raw.architecture : d.architecture,
+    window: int(raw.window, 5, 90, d.window), // two kernel-3 convolutions need at least 5 days
+    units: int(raw.units, 2, 256, d.units),
+  };
+}
+
+/* -----------------------------
+   Windows
+------------------------------ */
+// → [{ index, date, today, label, targetDate, steps }] for every day with a full window behind it and a known
+//   label on the next calendar day; `steps` is the window, oldest day first
+function buildSequenceExamples(history, window) {
+  const daily = dailyChannels(history);
+  const byDate = new Map(history.map((row) => [row.date, row]));
+  const out = [];
+
+  for (let t = 0; t < history.length; t++) {
+    const next = byDate.get(addDays(history[t].date, 1));
+    const steps = windowEndingAt(daily, t, window);
+    if (!steps || !SENTIMENT_LABELS.includes(next?.label)) continue;
+
+    out.push({
+      index: t,
+      date: history[t].date,
+      today: history[t].label,
+      label: next.label,
+      targetDate: next.date,
+      steps,
+    });
+  }
+
+  return out;
+}
+
+// The window ending on the last known day (what the next-day forecast reads), or null
+function latestSequenceWindow(history, window) {
+  return windowEndingAt(dailyChannels(history), history.length - 1, window);
+}
+
+function dailyChannels(history) {
+  return history.map((row, i) => {
+    const prev = history[i - 1];
+    if (!prev || !SENTIMENT_LABELS.includes(row.label)) return null;
+
+    const channels = [Math.log(row.rate / prev.rate), Math.log(row.volume / prev.volume)];
+    if (!channels.every(Number.isFinite)) return null;
+    return [...channels, ...SENTIMENT_LABELS.map((l) => (l === row.label ? 1 : 0))];
+  });
+}
+
+function windowEndingAt(daily, t, window) {
+  if (t - window + 1 < 0) return null;
+  const steps = daily.slice(t - window + 1, t + 1);
+  return steps.every(Boolean) ? steps : null;
+}
+
+/* -----------------------------
+   Tensors
+------------------------------ */
+// Mean / std of the return and volume channels, each train day counted once (its window's last step)
+function fitSequenceScaler(examples) {
+  const days = examples.map((ex) => ex.steps[ex.steps.length - 1]);
+  return [0, 1].map((c) => {
+    const values = days.map((d) => d[c]);
+    return { mean: values.length ? mean(values) : 0, std: stdDev(values) || 1 };
+  });
+}
+
+// windows: [steps] → float32 [n, window, SEQUENCE_CHANNELS]
+function sequenceTensor(tf, windows, scaler) {
+  const n = windows.length;
+  const length = windows[0]?.length ?? 0;
+  const data = new Float32Array(n * length * SEQUENCE_CHANNELS);
+
+  let k = 0;
+  for (const steps of windows) {
+    for (const day of steps) {
+      for (let c = 0; c < SEQUENCE_CHANNELS; c++) {
+        data[k++] = c < scaler.length ? (day[c] - scaler[c].mean) / scaler[c].std : day[c];
+      }
+    }
+  }
+
+  return tf.tensor3d(data, [n, length, SEQUENCE_CHANNELS]);
+}
+
+function labelTensor(tf, examples) {
+  const k = SENTIMENT_LABELS.length;
+  const data = new Float32Array(examples.length * k);
+  examples.forEach((ex, i) => (data[i * k + SENTIMENT_LABELS.indexOf(ex.label)] = 1));
+  return tf.tensor2d(data, [examples.length, k]);
+}
+
+/* -----------------------------
+   Model
+------------------------------ */
+// trainingConfig: training-config.js (activation, dropout, learningRate)
+function createSequenceModel(tf, config, trainingConfig) {
+  const inputShape = [config.window, SEQUENCE_CHANNELS];
+  const model = tf.sequential();
+
+  if (config.architecture === "conv1d") {
+    const conv = { filters: config.units, kernelSize: 3, activation: trainingConfig.activation };
+    model.add(tf.layers.conv1d({ ...conv, inputShape }));
+    model.add(tf.layers.conv1d(conv));
+    model.add(tf.layers.flatten());
+  } else {
+    const recurrent = config.architecture === "gru" ? tf.layers.gru : tf.layers.lstm;
+    model.add(recurrent({ units: config.units, inputShape }));
+  }
+
+  if (trainingConfig.dropout > 0) model.add(tf.layers.dropout({ rate: trainingConfig.dropout }));
+  model.add(tf.layers.dense({ units: SENTIMENT_LABELS.length, activation: "softmax" }));
+
+  model.compile({
+    optimizer: tf.train.sgd(trainingConfig.learningRate),
+    loss: "categoricalCrossentropy",
+    metrics: ["accuracy"],
+  });
+  return model;
+}
+
+// Same validationSplit semantics as ml5 (last share of the train rows); resolves with the training summary.
+// examples: already resampled when balancing asks for it — class weights are applied here (class-balance.js)
+async function fitSequenceModel(tf, model, examples, scaler, trainingConfig, onEpoch = () => {}) {
+  const x = sequenceTensor(tf, examples.map((ex) => ex.steps), scaler);
+  const y = labelTensor(tf, examples);
+  const controller = createTrainingController(() => model, trainingConfig);
+  const classWeight =
+    trainingConfig.balancing === "weights"
+      ? classWeightsByIndex(examples.map((ex) => ex.label), SENTIMENT_LABELS)
+      : undefined;
+
+  try {
+    await model.fit(x, y, {
+      epochs: trainingConfig.epochs,
+      batchSize: trainingConfig.batchSize,
+      validationSplit: trainingConfig.validationSplit,
+      shuffle: true,
+      classWeight,
+      callbacks: {
+        onEpochEnd: (epoch, logs) => {
+          controller.onEpochEnd(epoch, logs);
+          onEpoch(epoch, logs);
+        },
+      },
+    });
+  } finally {
+    tf.dispose([x, y]);
+  }
+
+  return controller.finish();
+}
+
+// model.dispose() leaves the optimizer (SGD keeps its learning rate in a tensor)
+function disposeSequenceModel(model) {
+  model?.optimizer?.dispose();
+  model?.dispose();
+}
+
+// windows: [steps] → one ml5-style result array per window
+function predictSequences(tf, model, windows, scaler) {
+  if (!windows.length) return [];
+
+  const probs = tf.tidy(() => model.predict(sequenceTensor(tf, windows, scaler)).arraySync());
+  return probs.map((p) =>
+    SENTIMENT_LABELS.map((label, i) => ({ label, confidence: p[i] })).sort((a, b) => b.confidence - a.confidence)
+  );
+}
+
+function describeSequenceConfig(config) {
+  return `${SEQUENCE_ARCHITECTURES[config.architecture]} · ${config.units} units · ${config.window}-day window`;
+}
+
+/* -----------------------------
+   HTML renderers
+------------------------------ */
+function renderArchitectureOptionsHTML(selected) {
+  return Object.entries(SEQUENCE_ARCHITECTURES)
+    .map(([key, label]) => `<option value="${key}" ${key === selected ? "selected" : ""}>${label}</option>`)
+    .join("");
+}
+
+// results: predictSequences() for the window ending on `lastDate`
+function renderSequenceForecastHTML(lastDate, results) {
+  const label = String(results[0]?.label ?? "");
+  const confidences = sentimentProbabilities(results);
+
+  return `
+    <div class="eval-card">
+      <h3 class="eval-title">Day after ${lastDate}: ${label}</h3>
+      ${renderProbabilityBarsHTML(confidences, label)}
+      ${renderUncertaintyHTML(predictionUncertainty(confidences))}
+    </div>`;
+}
+
+// score: scoreHorizon() on the test rows (horizons.js)
+function renderSequenceVerdictHTML(score) {
+  if (!score.n) return "";
+
+  const best = Math.max(score.persistence, score.majority);
+  const verdict =
+    score.accuracy > best
+      ? "beats both"
+      : "does not beat them: the window adds nothing the last label doesn't already say";
+
+  return `
+    <p class="eval-note">
+      Test rows: ${formatPct(score.accuracy)} vs ${formatPct(score.persistence)} for "today's label"
+      and ${formatPct(score.majority)} for "most common label". The model ${verdict}.
+    </p>`;
+}
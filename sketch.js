@@ -1,21 +1,143 @@
-/* sketch.js — Bitcoin Prediction (ml5 + p5 + PapaParse + CoinGecko)
-   - Robust classify callback/promise handling (ml5 versions differ)
+/* sketch.js — crypto sentiment prediction (ml5 + p5 + PapaParse + CoinGecko)
+   - Predictions (one model or an ensemble) go through callMl5Async, which hides how each ml5 version answers
    - Visor: auto-open during training, auto-close after training ONLY if it was closed before
            (reliable: uses your proven "Hide" button click with retries)
    - UX: auto-scroll prediction result into center so it never gets covered
+   - Persistence: save/load trained model to IndexedDB, export/import as .json (model-store.js)
+   - Evaluation: chronological train/validation/test split, metrics on held-out rows (evaluation.js)
+   - Features: lagged returns, volatility, volume z-score, MA ratios, RSI, MACD (features.js)
+   - Modes: sentiment (default), price direction, N-day return regression (targets.js)
+   - Backtest: walk-forward replay of the advice signals vs buy-and-hold (backtest.js)
+   - Chart: zoomable price/volume/label history, click a day to fill the form (chart.js)
+   - Training config: epochs, batch, learning rate, layers, dropout; saved in localStorage (training-config.js)
+   - Early stopping, LR schedule, best-epoch restore (training-callbacks.js)
+   - Stop / Pause / Resume: end or suspend training at the next epoch boundary
+   - Web Worker: CSV parsing + training run in training-worker.js when available, ml5 on the page otherwise
+   - Live data: CoinGecko → CryptoCompare → Blockchain.info fallback, or a local mock file (market-data.js)
+   - History: bundled CSV merged with live Alternative.me F&G + daily price/volume (history-ingest.js)
+   - Observations: each live fetch is recorded per day, labelled once F&G is known, merged + exportable (observations.js)
+   - Assets: BTC / ETH / SOL, each with its own history, model, live query and saved model (assets.js)
+   - Prediction log: every prediction stored per asset, scored once the outcome is known, CSV/JSON export (prediction-log.js)
+   - Upload: drop / pick your own CSV, map its columns, review the validation report (dataset-upload.js)
+   - Cache: API responses kept in IndexedDB with configurable TTLs; offline uses the last snapshot (api-cache.js)
+   - Ensemble: optionally N networks trained on the split, probabilities averaged, agreement on the card (ensemble.js)
+   - Baselines: majority, persistence, logistic regression, kNN and a tree scored next to the network (baselines.js)
+   - Explanations: permutation importance on the validation rows, per-prediction input attribution (explain.js)
+   - What-if: price × volume sweep around the form's values, label heatmap + probability curves (whatif.js)
+   - Forecast: Fear & Greed 1 / 3 / 7 / 30 days ahead, one model per horizon, accuracy per horizon (horizons.js)
+   - Sequence model: LSTM / GRU / 1D conv on ml5's tf over N-day windows, next-day label, same split (sequence-model.js)
+   - Class balance: label distribution of the history, class weights / over- / undersampling (class-balance.js)
 */
 
 let neuralModel = null;
 
+// Ensemble members 2…N (ml5 models); neuralModel is always member 1
+let ensembleMembers = [];
+
+// Selected cryptocurrency (assets.js)
+let activeAsset = getAsset(DEFAULT_ASSET);
+
+// Trained models of the assets not on screen, so switching back doesn't mean retraining: symbol → bundle
+const assetModels = new Map();
+
 let isTraining = false;
 let isModelReady = false;
 let isTrained = false;
+let isEvaluating = false;
+let isBacktesting = false;
+let isExploring = false;
+let isForecasting = false;
+let isTrainingSequence = false;
+
+// Anything that reads datasetRows or the trained model across awaits; none of it may overlap a data swap
+// or a model rebuild
+function isBusy() {
+  return isTraining || isEvaluating || isBacktesting || isExploring || isForecasting || isTrainingSequence;
+}
+
+function warnBusy() {
+  setTrainStatus(
+    "Wait for loading, training, evaluation, the backtest, forecast, what-if sweep or sequence model to finish first.",
+    "status-warning"
+  );
+}
 
 let tf = null;
 
+// Feature keys the current neuralModel was built with (order matters for ml5 metadata)
+let modelFeatureKeys = [];
+
+// Mode the current neuralModel was built with: { mode, horizon, flatThreshold }
+let modelMode = { ...DEFAULT_MODE_CONFIG };
+
+// History rows and split config the current neuralModel was built with; every worker run of the training
+// (member 1 and the ensemble) gets this snapshot, the one datasetSplit is cut from
+let modelRows = [];
+let modelSplitConfig = null;
+
+// Network/training config the current neuralModel was built with (training-config.js)
+let trainingConfig = { ...DEFAULT_TRAINING_CONFIG };
+
+// Epoch-end controller for the running training + summary of the last finished run
+let trainingController = null;
+let lastTrainingSummary = null;
+
+// While isTraining: "running" | "pausing" | "paused" | "stopping"
+let trainingPhase = null;
+// Epochs finished in earlier segments (a resume starts a new fit() at epoch 0)
+let epochOffset = 0;
+let lastEpochSeen = -1;
+
+// Background trainer (training-worker-client.js) + where the current run happens: "worker" | "page"
+let trainingWorker = null;
+let trainingBackend = null;
+
+// Price bands for forecast modes: per-class return IQR (direction) or { spread } (return)
+let forecastBands = null;
+
+// History rows sorted by date: { date: "YYYY-MM-DD", volume, rate, label, source }
+let datasetRows = [];
+
+// Where the rows came from (history-ingest.js report), null until loaded
+let datasetReport = null;
+
+// Live F&G labels by date (history-ingest.js), used to label recorded observations
+let liveLabels = new Map();
+
+// File name of the uploaded dataset in use; null = bundled CSV + live history
+let uploadedDatasetName = null;
+
+// Parsed upload waiting for "Use this dataset": { name, data, fields, rows }
+let pendingUpload = null;
+
+// Chronological split of feature examples { date, label, inputs } used for the current model
+let datasetSplit = null;
+
 // Visor control: remember if it was already open before training
 let visorWasOpenBeforeTraining = false;
 
+// Last model bundle found in IndexedDB (null if none)
+let savedModelBundle = null;
+
+// p5 instance-mode history chart (chart.js)
+let historyChart = null;
+
+// Caveat shown under the next prediction (e.g. history gap before the input date)
+let predictionNote = "";
+
+// How far the ensemble members agreed on the prediction in flight (null for a single model)
+let predictionAgreement = null;
+
+// Inputs of the prediction in flight, logged together with its result
+let predictionInputs = null;
+
+// When the model on screen was trained (a loaded bundle keeps its own) — logged with each prediction
+let modelVersion = null;
+
+// The active asset's prediction log (prediction-log.js) and how its table is sorted
+let predictionLog = [];
+let predictionLogSort = { ...DEFAULT_PREDICTION_SORT };
+
 /* -----------------------------
    p5 entry point (NOT async)
 ------------------------------ */
@@ -47,16 +169,37 @@ async function init() {
     throw new Error("ml5.tf not available. ml5 may not have loaded correctly.");
   }
 
+  // Starts loading tf.js in the background; loadCSVData() and training use it once it's ready
+  if (typeof Worker !== "undefined") trainingWorker = createTrainingWorker();
+
   await initTensorFlowBackend();
 
+  activeAsset = getAsset(loadAssetChoice());
+  setupAssetSelect();
+  applyAssetLabels();
+
   setupButtons();
+  setupFeatureToggles();
+  setupModeSelect();
+  setupTrainingConfig();
+  setupDataSourceSelect();
+  setupCacheConfig();
+  setupDatasetUpload();
+  setupPredictionLog();
+  setupSequencePanel();
   setDate();
   setTrainStatus("Loading dataset…", "status-info");
 
-  await loadCSVData();
+  await loadDataset();
+  buildNeuralModel();
+  setupHistoryChart();
+  await refreshPredictionLog({ reload: true });
 
   isModelReady = true;
-  setTrainStatus("Dataset loaded. Ready to train.", "status-success");
+  showDatasetStatus();
+
+  await offerSavedModel();
+
   console.log("✓ Init complete");
 }
 
@@ -79,73 +222,484 @@ async function initTensorFlowBackend() {
 }
 
 /* -----------------------------
-   CSV loading (PapaParse)
+   Dataset: bundled CSV + live F&G history (history-ingest.js)
 ------------------------------ */
-function loadCSVData() {
-  return new Promise((resolve, reject) => {
-    console.log("Loading CSV…");
-
-    Papa.parse("./dataset_btc_fear_greed_copy.csv", {
-      download: true,
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        const rows = Array.isArray(results.data) ? results.data : [];
-        console.log(`✓ Loaded ${rows.length} rows from CSV`);
-
-        // Create model
-        neuralModel = ml5.neuralNetwork({
-          task: "classification",
-          debug: true, // visor + training graph
-          inputs: ["date", "volume", "rate"],
-          outputs: ["label"],
-        });
-
-        // Add training data
-        let count = 0;
-
-        for (const row of rows) {
-          if (!row) continue;
-
-          const dateStr = String(row.date ?? "").trim();
-          const volume = Number(row.volume);
-          const rate = Number(row.rate);
-          const label = String(row.prediction ?? "").trim();
-
-          if (!dateStr || !label) continue;
-          if (!Number.isFinite(volume) || !Number.isFinite(rate)) continue;
-
-          const dateNum = convertDate(dateStr);
-
-          neuralModel.addData(
-            { date: dateNum, volume, rate },
-            { label }
-          );
-
-          count++;
-        }
-
-        console.log(`✓ Added ${count} training examples`);
-
-        // Normalize
-        try {
-          neuralModel.normalizeData();
-          console.log("✓ Normalized data");
-        } catch (e) {
-          console.warn("normalizeData failed (continuing):", e);
-        }
-
-        resolve();
-      },
-      error: (err) => {
-        console.error("CSV parse error:", err);
-        reject(err);
-      },
-    });
+async function loadDataset() {
+  await loadCSVData();
+  showLabelDistribution(); // CSV + observations, while the live history loads
+
+  setTrainStatus("Fetching live Fear & Greed history…", "status-info");
+  const { rows, report, labels } = await ingestLiveHistory(datasetRows, {
+    asset: activeAsset,
+    ttlMs: readCacheConfig().historyHours * 60 * 60 * 1000,
+  });
+
+  // Observations recorded before their day's F&G label was published
+  const labelled = await labelObservations(await loadObservations(activeAsset.symbol), labels);
+  const merged = mergeObservations(rows, labelled);
+
+  datasetRows = merged.rows;
+  datasetReport = report;
+  datasetReport.observed += merged.added;
+  liveLabels = labels;
+  console.log(`✓ History: ${describeIngestReport(report)}`);
+  if (report.errors.length) console.warn("Live history issues:", report.errors);
+  showLabelDistribution();
+}
+
+// Raw Fear & Greed labels of the whole history, whatever the prediction mode
+function showLabelDistribution() {
+  const distribution = labelDistribution(datasetRows.map((r) => r.label), SENTIMENT_LABELS);
+  console.log("✓ Label distribution:", distribution);
+  select("#labelDistribution")?.html(
+    renderLabelDistributionHTML(`Fear & Greed labels — ${datasetRows.length} days`, distribution, LABEL_COLORS)
+  );
+}
+
+function showDatasetStatus() {
+  const fallback = activeAsset.datasetUrl
+    ? " Live history unavailable — using the bundled CSV."
+    : ` Live history unavailable and there is no bundled ${activeAsset.symbol} CSV — upload one under "Dataset".`;
+
+  setTrainStatus(
+    `${activeAsset.symbol} dataset loaded (${describeIngestReport(datasetReport)}). Ready to train.` +
+      (datasetReport.live ? "" : fallback),
+    datasetReport.live ? "status-success" : "status-warning"
+  );
+}
+
+/* -----------------------------
+   CSV loading (PapaParse — in the training worker when it's up, dataset.js) + recorded observations
+------------------------------ */
+async function loadCSVData() {
+  const url = activeAsset.datasetUrl;
+  const observations = await loadObservations(activeAsset.symbol);
+
+  if (!url) {
+    console.log(`No bundled CSV for ${activeAsset.symbol} — live history and observations only`);
+    datasetRows = mergeObservations([], observations).rows;
+    return;
+  }
+
+  console.log("Loading CSV…");
+
+  let result = null;
+  if (await trainingWorker?.ready) {
+    try {
+      result = await trainingWorker.parseCSV(new URL(url, location.href).href);
+    } catch (err) {
+      console.warn("Worker CSV parse failed, parsing on the page:", err);
+    }
+  }
+
+  try {
+    result ??= await parseDatasetCSV(url);
+  } catch (err) {
+    console.error("CSV parse error:", err);
+    throw err;
+  }
+
+  console.log(`✓ Loaded ${result.parsed} rows from CSV`);
+  console.log(`✓ Kept ${result.rows.length} valid rows`);
+  if (result.report?.skipped.length || result.report?.duplicates.length) {
+    console.warn("CSV rows dropped:", result.report.skipped, result.report.duplicates);
+  }
+
+  const merged = mergeObservations(result.rows, observations);
+  datasetRows = merged.rows;
+  if (merged.added || merged.duplicates) {
+    console.log(`✓ Observations: ${merged.added} added, ${merged.duplicates} dates already in the CSV`);
+  }
+}
+
+/* -----------------------------
+   Assets (assets.js)
+------------------------------ */
+function setupAssetSelect() {
+  select("#asset")?.html(renderAssetOptionsHTML(activeAsset.symbol));
+  select("#asset")?.changed(() => switchAsset(String(select("#asset").value())));
+}
+
+function applyAssetLabels() {
+  const { name, symbol } = activeAsset;
+
+  document.title = `${name} Prediction - Neural Network`;
+  select("#appTitle")?.html(`${name} Prediction`);
+  select("#rateLabel")?.html(`${symbol} Price (USD)`);
+}
+
+// Own history, model and saved model per asset; this asset's trained model is kept for the way back
+async function switchAsset(symbol) {
+  const next = getAsset(symbol);
+  if (next === activeAsset) return;
+
+  if (!isModelReady || isBusy()) {
+    select("#asset")?.value(activeAsset.symbol);
+    warnBusy();
+    return;
+  }
+
+  isModelReady = false;
+
+  if (isTrained) {
+    try {
+      assetModels.set(activeAsset.symbol, await captureCurrentBundle());
+    } catch (err) {
+      console.warn(`Could not keep the ${activeAsset.symbol} model:`, err);
+    }
+  }
+
+  activeAsset = next;
+  saveAssetChoice(next.symbol);
+  applyAssetLabels();
+
+  uploadedDatasetName = null;
+  select("#resetDataset")?.style("display", "none");
+  select("#rate")?.value("");
+  select("#volume")?.value("");
+  select("#lastUpdate")?.html("");
+  setResult("");
+
+  datasetRows = [];
+  datasetReport = null;
+  setTrainStatus(`Loading ${next.name} history…`, "status-info");
+  try {
+    await loadDataset();
+  } catch (err) {
+    console.error(`Loading ${next.symbol} history failed:`, err);
+  }
+
+  replaceDataset(datasetRows, next.name);
+  isModelReady = true;
+  if (datasetReport) showDatasetStatus();
+
+  await refreshPredictionLog({ reload: true });
+
+  const kept = assetModels.get(next.symbol);
+  if (kept) await restoreModelBundle(kept, `${next.symbol} model from this session restored.`);
+  else await offerSavedModel();
+}
+
+/* -----------------------------
+   Uploaded datasets (dataset-upload.js)
+------------------------------ */
+function setupDatasetUpload() {
+  const drop = document.getElementById("datasetDrop");
+  const input = document.getElementById("datasetFile");
+
+  select("#pickDataset")?.mousePressed(() => input?.click());
+  select("#datasetFile")?.changed(() => {
+    readUploadedDataset(input.files?.[0]);
+    // allow picking the same file again
+    input.value = "";
+  });
+
+  drop?.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    drop.classList.add("drag-over");
+  });
+  drop?.addEventListener("dragleave", () => drop.classList.remove("drag-over"));
+  drop?.addEventListener("drop", (event) => {
+    event.preventDefault();
+    drop.classList.remove("drag-over");
+    readUploadedDataset(event.dataTransfer?.files?.[0]);
+  });
+
+  document.getElementById("columnMap")?.addEventListener("change", validateUpload);
+  select("#useDataset")?.mousePressed(useUploadedDataset);
+  select("#resetDataset")?.mousePressed(restoreBundledDataset);
+}
+
+async function readUploadedDataset(file) {
+  if (!file) return;
+
+  try {
+    const { data, fields } = await readCSV(file);
+    if (!fields.length) throw new Error("no header row found");
+
+    pendingUpload = { name: file.name, data, fields, rows: [] };
+    select("#columnMap")?.html(renderColumnMapHTML(fields, guessColumnMap(fields)));
+    validateUpload();
+  } catch (err) {
+    console.error("Dataset upload failed:", err);
+    pendingUpload = null;
+    select("#columnMap")?.html("");
+    select("#useDataset")?.style("display", "none");
+    select("#datasetReport")?.html(
+      `<p class="eval-note">Could not read ${escapeHTML(file.name)}: ${escapeHTML(err?.message ?? err)}</p>`
+    );
+  }
+}
+
+function readColumnMap() {
+  return Object.fromEntries(
+    DATASET_FIELDS.map((f) => [f.key, document.getElementById(`map-${f.key}`)?.value || null])
+  );
+}
+
+function validateUpload() {
+  if (!pendingUpload) return;
+
+  const columns = readColumnMap();
+  const missing = DATASET_FIELDS.filter((f) => !columns[f.key]);
+
+  if (missing.length) {
+    pendingUpload.rows = [];
+    select("#useDataset")?.style("display", "none");
+    select("#datasetReport")?.html(
+      `<p class="eval-note">Choose a column for: ${missing.map((f) => f.label).join(", ")}.</p>`
+    );
+    return;
+  }
+
+  const { rows, report } = validateDatasetRows(pendingUpload.data, columns);
+  pendingUpload.rows = rows;
+
+  select("#datasetReport")?.html(renderDatasetReportHTML(report, pendingUpload.name));
+  select("#useDataset")?.style("display", rows.length >= MIN_DATASET_ROWS ? "inline-block" : "none");
+}
+
+function useUploadedDataset() {
+  if (!pendingUpload?.rows.length || !isModelReady) return;
+  if (isBusy()) {
+    warnBusy();
+    return;
+  }
+
+  uploadedDatasetName = pendingUpload.name;
+  replaceDataset(
+    pendingUpload.rows.map((r) => ({ ...r, source: "upload" })),
+    uploadedDatasetName
+  );
+  select("#resetDataset")?.style("display", "inline-block");
+}
+
+async function restoreBundledDataset() {
+  if (!isModelReady || isBusy()) return;
+
+  setTrainStatus("Loading dataset…", "status-info");
+  try {
+    await loadDataset();
+  } catch (err) {
+    setTrainStatus(`Could not reload the bundled dataset: ${err?.message ?? err}`, "status-error");
+    return;
+  }
+
+  uploadedDatasetName = null;
+  replaceDataset(datasetRows, "bundled CSV + live history");
+  select("#resetDataset")?.style("display", "none");
+}
+
+// New rows → new split and an untrained model; the old model's scores don't apply any more
+function replaceDataset(rows, name) {
+  datasetRows = rows;
+  showLabelDistribution();
+
+  buildNeuralModel();
+  setEvaluation("");
+  historyChart?.setRows(datasetRows);
+  historyChart?.setPredictions(null);
+  showUntrainedState();
+
+  const range = rows.length ? ` (${rows[0].date} → ${rows.at(-1).date})` : "";
+  setTrainStatus(`Dataset: ${name} — ${rows.length} rows${range}. Train to use it.`, "status-success");
+}
+
+/* -----------------------------
+   Model construction (train split only)
+------------------------------ */
+function buildNeuralModel() {
+  disposeEnsembleMembers();
+
+  modelFeatureKeys = readFeatureToggles();
+  modelMode = readModeConfig();
+  trainingConfig = readTrainingConfig();
+  modelRows = datasetRows;
+  modelSplitConfig = readSplitConfig();
+
+  const { task, output } = MODEL_MODES[modelMode.mode];
+
+  const examples = attachTargets(
+    buildFeatureExamples(modelRows, modelFeatureKeys),
+    modelRows,
+    modelMode
+  );
+  datasetSplit = splitChronological(examples, modelSplitConfig, targetHorizon(modelMode));
+
+  neuralModel = ml5.neuralNetwork(
+    modelOptionsFromConfig(trainingConfig, {
+      task,
+      debug: true, // visor + training graph
+      inputs: modelFeatureKeys,
+      outputs: [output],
+    })
+  );
+
+  for (const ex of pageTrainingRows(0)) {
+    neuralModel.addData(ex.inputs, { [output]: ex.target });
+  }
+
+  forecastBands = initialForecastBands(datasetSplit.train);
+
+  console.log(`✓ Mode: ${modelMode.mode} (horizon ${modelMode.horizon}d)`);
+  console.log(`✓ Features: ${modelFeatureKeys.join(", ")}`);
+  console.log(
+    `✓ Added ${datasetSplit.train.length} training examples ` +
+      `(${datasetSplit.validation.length} validation, ${datasetSplit.test.length} test held out)`
+  );
+
+  // Normalize
+  try {
+    neuralModel.normalizeData();
+    console.log("✓ Normalized data");
+  } catch (e) {
+    console.warn("normalizeData failed (continuing):", e);
+  }
+}
+
+// Train rows for an ml5 model on the page: the member's bootstrap sample, then class balancing
+// (ml5 can't take class weights, so "weights" oversamples here — the worker passes real weights to fit())
+function pageTrainingRows(member) {
+  const { task } = MODEL_MODES[modelMode.mode];
+  const rows = memberTrainingRows(datasetSplit.train, trainingConfig, member);
+  return balancedTrainingRows(rows, trainingConfig, task, { weights: false });
+}
+
+function readSplitConfig() {
+  const pct = (selector, fallback) => {
+    const v = Number(select(selector)?.value());
+    return Number.isFinite(v) && v >= 0 ? v / 100 : fallback;
+  };
+
+  return {
+    validation: pct("#valSplit", DEFAULT_SPLIT.validation),
+    test: pct("#testSplit", DEFAULT_SPLIT.test),
+  };
+}
+
+function setupFeatureToggles(keys = defaultFeatureKeys()) {
+  select("#featureToggles")?.html(renderFeatureTogglesHTML(keys));
+}
+
+function readFeatureToggles() {
+  const boxes = document.querySelectorAll("#featureToggles input[data-feature]");
+  if (!boxes.length) return defaultFeatureKeys();
+
+  // FEATURE_DEFS order, so the same selection always gives the same input order
+  const checked = new Set(
+    Array.from(boxes)
+      .filter((b) => b.checked)
+      .map((b) => b.dataset.feature)
+  );
+  const keys = FEATURE_DEFS.map((f) => f.key).filter((k) => checked.has(k));
+  return keys.length ? keys : defaultFeatureKeys();
+}
+
+function initialForecastBands(trainExamples) {
+  if (modelMode.mode === "direction") return directionReturnRanges(trainExamples);
+  if (modelMode.mode === "return") {
+    // replaced by validation RMSE once the model is evaluated
+    return { spread: stdDev(trainExamples.map((ex) => ex.futureReturn)) ?? 0 };
+  }
+  return null;
+}
+
+function setupModeSelect(config = DEFAULT_MODE_CONFIG) {
+  select("#modelMode")?.html(renderModeOptionsHTML(config.mode));
+  setModeInputs(config);
+}
+
+function readModeConfig() {
+  const mode = String(select("#modelMode")?.value() ?? "");
+  const horizon = Math.round(Number(select("#horizon")?.value()));
+  const flatPct = Number(select("#flatThreshold")?.value());
+
+  return {
+    mode: MODEL_MODES[mode] ? mode : DEFAULT_MODE_CONFIG.mode,
+    horizon: Number.isFinite(horizon) && horizon >= 1 ? horizon : DEFAULT_MODE_CONFIG.horizon,
+    flatThreshold:
+      Number.isFinite(flatPct) && flatPct >= 0 ? flatPct / 100 : DEFAULT_MODE_CONFIG.flatThreshold,
+  };
+}
+
+function setModeInputs(config) {
+  if (!config) return;
+  select("#modelMode")?.value(config.mode);
+  select("#horizon")?.value(config.horizon);
+  select("#flatThreshold")?.value(+(config.flatThreshold * 100).toFixed(2));
+}
+
+function setupTrainingConfig() {
+  const config = loadTrainingConfig();
+  select("#activation")?.html(renderActivationOptionsHTML(config.activation));
+  select("#lrSchedule")?.html(renderScheduleOptionsHTML(config.lrSchedule));
+  select("#balancing")?.html(renderBalancingOptionsHTML(config.balancing));
+  setTrainingConfigInputs(config);
+
+  // Persist every edit, so the next visit starts from the same experiment
+  document.getElementById("trainingConfig")?.addEventListener("change", () => {
+    saveTrainingConfig(readTrainingConfig());
   });
 }
 
+function readTrainingConfig() {
+  const val = (selector) => select(selector)?.value();
+
+  return sanitizeTrainingConfig({
+    epochs: val("#epochs"),
+    batchSize: val("#batchSize"),
+    learningRate: val("#learningRate"),
+    hiddenUnits: val("#hiddenUnits"),
+    activation: val("#activation"),
+    dropout: val("#dropout"),
+    validationSplit: Number(val("#mlValSplit")) / 100,
+    earlyStopping: Boolean(document.getElementById("earlyStopping")?.checked),
+    patience: val("#patience"),
+    minDelta: val("#minDelta"),
+    restoreBest: Boolean(document.getElementById("restoreBest")?.checked),
+    lrSchedule: val("#lrSchedule"),
+    lrFactor: val("#lrFactor"),
+    lrStep: val("#lrStep"),
+    useWorker: Boolean(document.getElementById("useWorker")?.checked),
+    ensembleSize: val("#ensembleSize"),
+    bootstrap: Boolean(document.getElementById("bootstrap")?.checked),
+    balancing: val("#balancing"),
+  });
+}
+
+function setTrainingConfigInputs(config) {
+  const c = sanitizeTrainingConfig(config);
+  select("#epochs")?.value(c.epochs);
+  select("#batchSize")?.value(c.batchSize);
+  select("#learningRate")?.value(c.learningRate);
+  select("#hiddenUnits")?.value(c.hiddenUnits.join(", "));
+  select("#activation")?.value(c.activation);
+  select("#dropout")?.value(c.dropout);
+  select("#mlValSplit")?.value(Math.round(c.validationSplit * 100));
+  select("#patience")?.value(c.patience);
+  select("#minDelta")?.value(c.minDelta);
+  select("#lrSchedule")?.value(c.lrSchedule);
+  select("#lrFactor")?.value(c.lrFactor);
+  select("#lrStep")?.value(c.lrStep);
+  select("#ensembleSize")?.value(c.ensembleSize);
+  select("#balancing")?.value(c.balancing);
+
+  const earlyStopping = document.getElementById("earlyStopping");
+  if (earlyStopping) earlyStopping.checked = c.earlyStopping;
+  const restoreBest = document.getElementById("restoreBest");
+  if (restoreBest) restoreBest.checked = c.restoreBest;
+  const useWorker = document.getElementById("useWorker");
+  if (useWorker) useWorker.checked = c.useWorker;
+  const bootstrap = document.getElementById("bootstrap");
+  if (bootstrap) bootstrap.checked = c.bootstrap;
+}
+
+function setSplitInputs(split) {
+  if (!split) return;
+  select("#valSplit")?.value(Math.round(split.validation * 100));
+  select("#testSplit")?.value(Math.round(split.test * 100));
+}
+
 /* -----------------------------
    UI setup helpers
 ------------------------------ */
@@ -153,6 +707,20 @@ function setupButtons() {
   select("#train")?.mousePressed(startTraining);
   select("#predict")?.mousePressed(makePrediction);
   select("#fetchData")?.mousePressed(fetchLiveData);
+
+  select("#saveModel")?.mousePressed(saveModel);
+  select("#loadModel")?.mousePressed(loadSavedModel);
+  select("#exportModel")?.mousePressed(exportModel);
+  select("#importModel")?.mousePressed(() => document.getElementById("importModelFile")?.click());
+  select("#importModelFile")?.changed(importModel);
+
+  select("#runBacktest")?.mousePressed(runBacktestFromUI);
+  select("#runWhatIf")?.mousePressed(runWhatIfFromUI);
+  select("#runForecast")?.mousePressed(runForecastFromUI);
+  select("#trainSequence")?.mousePressed(trainSequenceFromUI);
+
+  select("#pauseTraining")?.mousePressed(togglePauseTraining);
+  select("#stopTraining")?.mousePressed(stopTraining);
 }
 
 function setDate() {
@@ -178,6 +746,10 @@ function setResult(html) {
   select("#result")?.html(html);
 }
 
+function setEvaluation(html) {
+  select("#evaluation")?.html(html);
+}
+
 /* -----------------------------
    Smooth scroll helper
 ------------------------------ */
@@ -251,117 +823,1033 @@ function closeVisorReliable() {
 ------------------------------ */
 function startTraining() {
   if (isTraining) return;
+  if (isBusy()) {
+    warnBusy();
+    return;
+  }
 
   if (!isModelReady || !neuralModel) {
     setTrainStatus("Model not ready yet — wait for dataset load.", "status-warning");
     return;
   }
+  if (datasetRows.length < MIN_DATASET_ROWS) {
+    setTrainStatus(
+      `Only ${datasetRows.length} days of ${activeAsset.symbol} history — at least ${MIN_DATASET_ROWS} are needed. ` +
+        "Try again when the live sources are reachable, or upload a CSV.",
+      "status-warning"
+    );
+    return;
+  }
 
   isTraining = true;
   isTrained = false;
 
   select("#train")?.html("Training…");
-  setTrainStatus("Training started… (see console for epoch/loss)", "status-info");
+  setTrainStatus("Training started…", "status-info");
 
   // Remember state BEFORE we open anything
   visorWasOpenBeforeTraining = isVisorOpen();
 
-  // Auto-open visor for training (next tick)
-  setTimeout(openVisor, 0);
+  // Fresh model on the current split (split inputs may have changed)
+  buildNeuralModel();
+  setEvaluation("");
+  historyChart?.setPredictions(null);
 
-  console.log("Starting training…");
+  trainingBackend = trainingConfig.useWorker && trainingWorker?.isReady ? "worker" : "page";
 
-  const opts = {
-    epochs: 32,
-    batchSize: 32,
-  };
+  console.log(`Starting training (${trainingBackend})…`);
 
-  neuralModel.train(opts, trainingProgress, trainingDone);
-}
+  console.log("Training config:", describeTrainingConfig(trainingConfig));
 
-function trainingProgress(epoch, loss) {
-  const lossVal = loss && typeof loss.loss === "number" ? loss.loss.toFixed(4) : "…";
-  console.log(`Epoch: ${epoch} - Loss: ${lossVal}`);
-}
+  lastTrainingSummary = null;
+  trainingPhase = "running";
+  epochOffset = 0;
+  lastEpochSeen = -1;
+  showTrainingControls(true);
 
-function trainingDone() {
-  console.log("✓ Training complete!");
+  if (trainingBackend === "worker") {
+    runWorkerTraining();
+    return;
+  }
 
-  isTraining = false;
-  isTrained = true;
+  // Auto-open visor for training (next tick) — the worker has no visor to feed
+  setTimeout(openVisor, 0);
 
-  select("#train")?.html("Trained");
-  select("#train")?.style("background-color", "#31fa03");
+  trainingController = createTrainingController(
+    () => neuralModel?.neuralNetwork?.model,
+    trainingConfig
+  );
 
-  // Show Predict button
-  select("#predict")?.style("display", "inline-block");
+  runTrainingSegment(trainingConfig.epochs);
+}
 
-  setTrainStatus("Training complete. You can predict now.", "status-success");
+function runTrainingSegment(epochs) {
+  neuralModel.train(
+    { ...trainOptionsFromConfig(trainingConfig), epochs },
+    trainingProgress,
+    trainingDone
+  );
+}
 
-  // Scroll to the next action so user sees it
-  scrollElementToCenter("#predict");
+// Same run in training-worker.js; the trained weights come back as a model bundle
+async function runWorkerTraining() {
+  const nn = neuralModel;
 
-  // Auto-close visor ONLY if it was closed before training
-  if (!visorWasOpenBeforeTraining) {
-    closeVisorReliable();
+  try {
+    const result = await trainingWorker.train(
+      {
+        rows: modelRows,
+        featureKeys: modelFeatureKeys,
+        mode: modelMode,
+        split: modelSplitConfig,
+        config: trainingConfig,
+      },
+      { onEpoch: trainingProgress, onPaused: (epoch) => trainingPaused(epoch + 1) }
+    );
+
+    await applyModelBundle(nn, result.bundle);
+    await completeMainModel(result.summary, result.epochs, result.stopped);
+  } catch (err) {
+    console.error("Worker training failed:", err);
+
+    isTraining = false;
+    trainingPhase = null;
+    trainingBackend = null;
+    showTrainingControls(false);
+    select("#train")?.html("Train Model");
+    setTrainStatus(
+      `${err?.message ?? err}. Untick "Train in a background worker" to train on the page.`,
+      "status-error"
+    );
   }
 }
 
-/* -----------------------------
-   Prediction
------------------------------- */
-function makePrediction() {
-  if (!isModelReady || !neuralModel) {
-    setTrainStatus("Model not ready.", "status-warning");
-    return;
-  }
-  if (!isTrained) {
-    setTrainStatus("Train the model first.", "status-warning");
-    return;
+function trainingProgress(epoch, loss) {
+  const globalEpoch = epochOffset + epoch;
+  lastEpochSeen = globalEpoch;
+
+  const lossVal = loss && typeof loss.loss === "number" ? loss.loss.toFixed(4) : "…";
+  const valLoss = loss && typeof loss.val_loss === "number" ? loss.val_loss.toFixed(4) : null;
+  console.log(`Epoch: ${globalEpoch} - Loss: ${lossVal}${valLoss ? ` - Val loss: ${valLoss}` : ""}`);
+
+  // Keep "Pausing…" / "Stopping…" visible until they take effect
+  if (trainingPhase === "running") {
+    setTrainStatus(
+      `Epoch ${globalEpoch + 1} of ${trainingConfig.epochs} — loss ${lossVal}` +
+        (valLoss ? `, val loss ${valLoss}` : ""),
+      "status-info"
+    );
   }
 
-  const dateStr = String(select("#date")?.value() ?? "").trim();
-  const rateStr = String(select("#rate")?.value() ?? "").trim();
-  const volStr = String(select("#volume")?.value() ?? "").trim();
+  // The worker runs its own controller
+  if (trainingBackend !== "page") return;
 
-  if (!dateStr || !rateStr || !volStr) {
-    setTrainStatus("Please fill Date, Price, and Volume.", "status-warning");
-    return;
+  trainingController?.onEpochEnd(globalEpoch, loss);
+
+  // Pause/Stop clicks only take effect here, so fit() never ends mid-epoch
+  if (trainingPhase === "pausing" || trainingPhase === "stopping") {
+    const tfModel = neuralModel?.neuralNetwork?.model;
+    if (tfModel) tfModel.stopTraining = true;
   }
+}
 
-  const dateVal = convertDate(dateStr);
-  const rateVal = Number(rateStr);
-  const volVal = Number(volStr);
+function trainingDone() {
+  const epochsDone = lastEpochSeen + 1;
+  const total = trainingConfig.epochs;
 
-  if (!Number.isFinite(dateVal) || !Number.isFinite(rateVal) || !Number.isFinite(volVal)) {
-    setTrainStatus("Invalid input values.", "status-warning");
+  // Paused (and there is something left to resume): keep the run open
+  if (trainingPhase === "pausing" && epochsDone < total && !trainingController?.stopReason) {
+    epochOffset = epochsDone;
+    trainingPaused(epochsDone);
     return;
   }
 
-  const input = { date: dateVal, volume: volVal, rate: rateVal };
-  console.log("Classifying with:", input);
+  const stoppedByUser = trainingPhase === "stopping" && epochsDone < total;
 
-  // Robust classify handling: callback + promise + "results as first arg" variant
-  try {
-    const maybePromise = neuralModel.classify(input, handleResults);
+  // Puts the best epoch's weights back (if enabled) before anything predicts
+  const summary =
+    trainingController?.finish({ stopped: stoppedByUser ? "stopped by user" : null }) ?? null;
+  trainingController = null;
+
+  completeMainModel(summary, epochsDone, stoppedByUser);
+}
+
+function trainingPaused(epochsDone) {
+  // Stop was clicked while the pause was on its way
+  if (trainingPhase !== "pausing") return;
 
-    if (maybePromise && typeof maybePromise.then === "function") {
-      maybePromise
-        .then((res) => handleResults(null, res))
-        .catch((err) => handleResults(err, null));
+  trainingPhase = "paused";
+  select("#pauseTraining")?.html("Resume");
+  setTrainStatus(`Paused after epoch ${epochsDone} of ${trainingConfig.epochs}.`, "status-warning");
+  console.log(`⏸ Training paused after epoch ${epochsDone}`);
+}
+
+// Member 1 is trained; an ensemble trains the others before the run finishes (skipped after Stop)
+async function completeMainModel(summary, epochsDone, stoppedByUser) {
+  if (!stoppedByUser && trainingConfig.ensembleSize > 1) await trainEnsembleMembers();
+  finishTraining(summary, epochsDone, stoppedByUser);
+}
+
+// Members 2…N, one after another on the same backend; Stop keeps the members finished so far
+async function trainEnsembleMembers() {
+  trainingPhase = "ensemble";
+  select("#pauseTraining")?.style("display", "none");
+
+  for (let member = 1; member < trainingConfig.ensembleSize; member++) {
+    if (trainingPhase === "stopping") break;
+
+    setTrainStatus(`Training ensemble model ${member + 1} of ${trainingConfig.ensembleSize}…`, "status-info");
+    try {
+      const nn = await trainEnsembleMember(member);
+      if (nn) ensembleMembers.push(nn);
+    } catch (err) {
+      console.error(`Ensemble model ${member + 1} failed:`, err);
+      break;
     }
-  } catch (err) {
-    handleResults(err, null);
   }
+
+  console.log(`✓ Ensemble: ${ensembleMembers.length + 1} of ${trainingConfig.ensembleSize} models trained`);
 }
 
-function handleResults(error, results) {
-  // Some ml5 versions pass results array as first arg
-  if (Array.isArray(error) && results == null) {
-    results = error;
-    error = null;
+// Resolves with the trained model, or null if Stop cut it short
+async function trainEnsembleMember(member) {
+  const total = trainingConfig.ensembleSize;
+  const onEpoch = (epoch) => {
+    if (trainingPhase !== "ensemble") return;
+    setTrainStatus(
+      `Ensemble model ${member + 1} of ${total} — epoch ${epoch + 1} of ${trainingConfig.epochs}`,
+      "status-info"
+    );
+  };
+
+  const nn = createMemberModel();
+
+  if (trainingBackend === "worker") {
+    const result = await trainingWorker.train(
+      {
+        rows: modelRows,
+        featureKeys: modelFeatureKeys,
+        mode: modelMode,
+        split: modelSplitConfig,
+        config: trainingConfig,
+        member,
+      },
+      { onEpoch }
+    );
+
+    if (result.stopped) {
+      disposeModel(nn);
+      return null;
+    }
+    await applyModelBundle(nn, result.bundle);
+    return nn;
+  }
+
+  const { output } = MODEL_MODES[modelMode.mode];
+  for (const ex of pageTrainingRows(member)) {
+    nn.addData(ex.inputs, { [output]: ex.target });
+  }
+  nn.normalizeData();
+
+  await trainAsync(nn, trainingConfig, (epoch) => {
+    onEpoch(epoch);
+    if (trainingPhase === "stopping") nn.neuralNetwork.model.stopTraining = true;
+  });
+
+  if (trainingPhase === "stopping") {
+    disposeModel(nn);
+    return null;
+  }
+  return nn;
+}
+
+// Same network as neuralModel, without the visor
+function createMemberModel() {
+  const { task, output } = MODEL_MODES[modelMode.mode];
+  return ml5.neuralNetwork(
+    modelOptionsFromConfig(trainingConfig, { task, inputs: modelFeatureKeys, outputs: [output] })
+  );
+}
+
+function ensembleModels() {
+  return [neuralModel, ...ensembleMembers];
+}
+
+function disposeEnsembleMembers() {
+  ensembleMembers.forEach(disposeModel);
+  ensembleMembers = [];
+}
+
+// Shared by both backends once the weights to keep are in neuralModel
+function finishTraining(summary, epochsDone, stoppedByUser) {
+  const total = trainingConfig.epochs;
+  console.log(stoppedByUser ? `■ Training stopped after epoch ${epochsDone}` : "✓ Training complete!");
+
+  isTraining = false;
+  trainingPhase = null;
+  trainingBackend = null;
+  showTrainingControls(false);
+
+  lastTrainingSummary = summary;
+  modelVersion = new Date().toISOString();
+
+  const size = ensembleMembers.length + 1;
+  const ensembleText =
+    trainingConfig.ensembleSize > 1 && !stoppedByUser
+      ? `ensemble of ${size}${size < trainingConfig.ensembleSize ? ` of ${trainingConfig.ensembleSize}` : ""} models`
+      : "";
+  const summaryText = [describeTrainingSummary(lastTrainingSummary), ensembleText].filter(Boolean).join(" · ");
+  if (summaryText) console.log(`✓ ${summaryText}`);
+
+  showTrainedState(stoppedByUser ? "Partially Trained" : "Trained");
+
+  if (stoppedByUser) {
+    setTrainStatus(
+      `Stopped after epoch ${epochsDone} of ${total}${summaryText ? ` — ${summaryText}` : ""}. ` +
+        "The partially trained model can predict.",
+      "status-warning"
+    );
+  } else {
+    setTrainStatus(
+      `Training complete${summaryText ? ` — ${summaryText}` : ""}. You can predict now.`,
+      "status-success"
+    );
+  }
+
+  // Scroll to the next action so user sees it
+  scrollElementToCenter("#predict");
+
+  // Auto-close visor ONLY if it was closed before training
+  if (!visorWasOpenBeforeTraining) {
+    closeVisorReliable();
+  }
+
+  evaluateModel()
+    .then(refreshChartPredictions)
+    .catch((err) => console.error("Evaluation failed:", err));
+}
+
+/* -----------------------------
+   Stop / Pause / Resume
+------------------------------ */
+function showTrainingControls(visible) {
+  const display = visible ? "inline-block" : "none";
+  select("#pauseTraining")?.html("Pause");
+  select("#pauseTraining")?.style("display", display);
+  select("#stopTraining")?.style("display", display);
+}
+
+function togglePauseTraining() {
+  if (!isTraining) return;
+
+  if (trainingPhase === "running") {
+    trainingPhase = "pausing";
+    select("#pauseTraining")?.html("Pausing…");
+    setTrainStatus("Pausing at the end of this epoch…", "status-info");
+    if (trainingBackend === "worker") trainingWorker.pause();
+    return;
+  }
+
+  if (trainingPhase === "paused") {
+    trainingPhase = "running";
+    select("#pauseTraining")?.html("Pause");
+
+    // The worker holds fit() open while paused; on the page a new fit() picks up the remaining epochs
+    if (trainingBackend === "worker") {
+      setTrainStatus(`Resuming at epoch ${lastEpochSeen + 2}…`, "status-info");
+      trainingWorker.resume();
+      return;
+    }
+
+    setTrainStatus(`Resuming at epoch ${epochOffset + 1}…`, "status-info");
+    runTrainingSegment(trainingConfig.epochs - epochOffset);
+  }
+}
+
+function stopTraining() {
+  if (!isTraining || trainingPhase === "stopping") return;
+
+  const wasPaused = trainingPhase === "paused";
+  trainingPhase = "stopping";
+  setTrainStatus("Stopping at the end of this epoch…", "status-info");
+
+  if (trainingBackend === "worker") {
+    trainingWorker.stop();
+    return;
+  }
+
+  // Nothing is running while paused — finish right away
+  if (wasPaused) trainingDone();
+}
+
+/* -----------------------------
+   Evaluation on held-out rows
+------------------------------ */
+// Flagged busy while it awaits predictions: datasetSplit and the members must stay put until it's done
+async function evaluateModel(note = "") {
+  if (!datasetSplit || !isTrained || isEvaluating) return;
+
+  isEvaluating = true;
+  try {
+    await renderEvaluation(note);
+  } finally {
+    isEvaluating = false;
+  }
+}
+
+async function renderEvaluation(note) {
+  setEvaluation(`<div class="eval-card"><p>Evaluating on held-out rows…</p></div>`);
+
+  const { task } = MODEL_MODES[modelMode.mode];
+  const isRegression = task === "regression";
+  const size = ensembleMembers.length + 1;
+  const sections = [];
+  const comparison = [];
+  const network = { label: size > 1 ? `Neural network (ensemble of ${size})` : "Neural network" };
+
+  for (const [title, rows] of [
+    ["Validation", datasetSplit.validation],
+    ["Test", datasetSplit.test],
+  ]) {
+    const actual = rows.map((r) => r.target);
+    const { members, combined } = await predictRows(rows, task);
+    const heading = size > 1 ? `${title} — ensemble of ${size}` : title;
+
+    // Same metrics per member, for the ensemble-vs-single-model table
+    const score = isRegression
+      ? (results) => computeRegressionMetrics(actual, results.map(regressionValue))
+      : (results) => computeClassificationMetrics(actual, results.map(topLabel), modeClassLabels(modelMode.mode));
+    const metrics = score(combined);
+    network[title.toLowerCase()] = metrics;
+    if (size > 1) comparison.push({ split: title, members: members.map(score), ensemble: metrics });
+
+    if (isRegression) {
+      console.log(`${title} RMSE: ${formatPct(metrics.rmse)}`, metrics);
+      sections.push(renderRegressionMetricsHTML(heading, metrics));
+
+      // Validation error becomes the ± band on the result card
+      if (title === "Validation" && metrics.n) forecastBands = { spread: metrics.rmse };
+      continue;
+    }
+
+    console.log(`${title} accuracy: ${formatPct(metrics.accuracy)}`, metrics);
+    sections.push(renderMetricsHTML(heading, metrics));
+  }
+
+  // Same train rows, features and held-out rows as the network
+  const baselines = runBaselines(datasetSplit, {
+    task,
+    keys: modelFeatureKeys,
+    classes: modeClassLabels(modelMode.mode),
+    history: datasetRows,
+    mode: modelMode,
+  });
+  console.log("Baselines:", baselines);
+
+  const importances = await permutationImportance(
+    datasetSplit.validation,
+    modelFeatureKeys,
+    async (rows) => (await predictRows(rows, task)).combined,
+    (rows, results) => {
+      const actual = rows.map((r) => r.target);
+      return isRegression
+        ? -computeRegressionMetrics(actual, results.map(regressionValue)).rmse
+        : computeClassificationMetrics(actual, results.map(topLabel), modeClassLabels(modelMode.mode)).accuracy;
+    }
+  );
+  console.log("Feature importance (validation):", importances);
+
+  const horizonText = modelMode.mode === "sentiment" ? "" : ` · ${modelMode.horizon}-day horizon`;
+
+  setEvaluation(`
+    <h2 class="eval-heading">Hold-out evaluation — ${MODEL_MODES[modelMode.mode].label}${horizonText}</h2>
+    <p class="eval-config">
+      ${describeTrainingConfig(trainingConfig)}
+      ${lastTrainingSummary ? `<br />${describeTrainingSummary(lastTrainingSummary)}` : ""}
+    </p>
+    ${note ? `<p class="eval-note">${note}</p>` : ""}
+    ${renderSplitHTML(describeSplit(datasetSplit))}
+    ${renderBaselinesHTML(network, baselines, task, describeBalancing(trainingConfig))}
+    ${renderImportanceHTML(importances, task)}
+    ${comparison.length ? renderEnsembleComparisonHTML(comparison, task) : ""}
+    ${sections.join("")}
+  `);
+}
+
+async function predictLabels(rows) {
+  const { combined } = await predictRows(rows, "classification");
+  return combined.map(topLabel);
+}
+
+// Every member's results on the rows, and the ensemble's (member 1's alone without an ensemble)
+async function predictRows(rows, task) {
+  if (!rows.length) return { members: ensembleModels().map(() => []), combined: [] };
+
+  const inputs = rows.map((r) => r.inputs);
+  const members = [];
+  for (const model of ensembleModels()) {
+    members.push(await (task === "regression" ? predictManyAsync(model, inputs) : classifyManyAsync(model, inputs)));
+  }
+
+  const combined =
+    members.length > 1 ? rows.map((_, i) => combineMemberResults(members.map((m) => m[i]), task)) : members[0];
+  return { members, combined };
+}
+
+function topLabel(results) {
+  return String(topResult(results)?.label ?? "");
+}
+
+// Fills the result card's #explanation: one batch of predictions per input (explain.js)
+async function explainPrediction(input, predicted) {
+  if (!input || !datasetSplit?.train.length) return;
+
+  const { task } = MODEL_MODES[modelMode.mode];
+  const readout = task === "regression" ? regressionValue : (results) => classProbability(results, String(predicted));
+
+  // A newer prediction replaces the card (and this element) while the batches run
+  const el = select("#explanation");
+  const show = (html) => el?.elt.isConnected && el.html(html);
+  show(`<p class="prediction-note">Working out which inputs drove this…</p>`);
+
+  try {
+    const attributions = await localAttribution(
+      input,
+      modelFeatureKeys,
+      backgroundSample(datasetSplit.train),
+      async (rows) => (await predictRows(rows, task)).combined,
+      readout
+    );
+    console.log("Attribution:", attributions);
+    show(renderAttributionHTML(attributions, task, predicted));
+  } catch (err) {
+    console.warn("Could not explain the prediction:", err);
+    show("");
+  }
+}
+
+/* -----------------------------
+   History chart
+------------------------------ */
+function setupHistoryChart() {
+  if (!document.getElementById("historyChart")) return;
+
+  historyChart = createHistoryChart("historyChart", { onDayClick: fillFormFromRow });
+  historyChart.setRows(datasetRows);
+
+  select("#chartReset")?.mousePressed(() => historyChart?.resetZoom());
+  select("#exportDataset")?.mousePressed(exportDataset);
+}
+
+function fillFormFromRow(row) {
+  select("#date")?.value(row.date);
+  select("#rate")?.value(row.rate);
+  select("#volume")?.value(row.volume);
+
+  setTrainStatus(`Loaded ${row.date} from the chart (${row.label}).`, "status-info");
+  scrollElementToCenter(".input-section");
+}
+
+// Model labels per day (sentiment mode only — other modes don't predict F&G labels)
+async function refreshChartPredictions() {
+  if (!historyChart) return;
+
+  if (!isTrained || modelMode.mode !== "sentiment" || !datasetSplit) {
+    historyChart.setPredictions(null);
+    return;
+  }
+
+  const rows = [...datasetSplit.train, ...datasetSplit.validation, ...datasetSplit.test];
+  const labels = await predictLabels(rows);
+  historyChart.setPredictions(new Map(rows.map((r, i) => [r.date, labels[i]])));
+}
+
+function showTrainedState(trainLabel) {
+  isTrained = true;
+
+  select("#train")?.html(trainLabel);
+  select("#train")?.style("background-color", "#31fa03");
+
+  // Show Predict + persistence buttons
+  select("#predict")?.style("display", "inline-block");
+  select("#saveModel")?.style("display", "inline-block");
+  select("#exportModel")?.style("display", "inline-block");
+}
+
+function showUntrainedState() {
+  isTrained = false;
+
+  select("#train")?.html("Train Model");
+  select("#train")?.style("background-color", "");
+
+  select("#predict")?.style("display", "none");
+  select("#saveModel")?.style("display", "none");
+  select("#exportModel")?.style("display", "none");
+}
+
+/* -----------------------------
+   Model persistence (IndexedDB + file)
+------------------------------ */
+function modelBundleInfo() {
+  return {
+    inputs: Object.keys(neuralModel?.neuralNetworkData?.meta?.inputs ?? {}),
+    features: modelFeatureKeys.slice(),
+    mode: { ...modelMode },
+    training: { ...trainingConfig },
+    trainingSummary: lastTrainingSummary,
+    split: readSplitConfig(),
+    trainEndDate: datasetSplit?.train.at(-1)?.date ?? null,
+    asset: activeAsset.symbol,
+    modelVersion,
+  };
+}
+
+// Member 1's bundle, with the other ensemble members under `members`
+async function captureCurrentBundle() {
+  const bundle = await captureModelBundle(neuralModel, modelBundleInfo());
+  if (ensembleMembers.length) {
+    bundle.members = [];
+    for (const nn of ensembleMembers) bundle.members.push(await captureModelBundle(nn));
+  }
+  return bundle;
+}
+
+function bundleFeatureKeys(bundle) {
+  return bundle?.info?.features ?? bundle?.info?.inputs ?? Object.keys(bundle?.meta?.inputs ?? {});
+}
+
+function isBundleCompatible(bundle) {
+  const keys = bundleFeatureKeys(bundle);
+  const mode = bundle?.info?.mode?.mode ?? DEFAULT_MODE_CONFIG.mode;
+  return keys.length > 0 && keys.every(isKnownFeature) && Boolean(MODEL_MODES[mode]);
+}
+
+async function offerSavedModel() {
+  select("#loadModel")?.style("display", "none");
+  savedModelBundle = await loadModelBundleFromDB(assetModelKey(activeAsset.symbol));
+
+  if (!savedModelBundle) return;
+  if (!isBundleCompatible(savedModelBundle)) {
+    console.warn("Saved model uses unknown features — ignoring it.");
+    savedModelBundle = null;
+    return;
+  }
+
+  const when = new Date(savedModelBundle.savedAt).toLocaleString();
+  select("#loadModel")?.style("display", "inline-block");
+  setTrainStatus(
+    `Saved ${activeAsset.symbol} model from ${when} found. Load it to predict right away, or train a new one.`,
+    "status-info"
+  );
+}
+
+async function saveModel() {
+  if (!isTrained || isTraining) {
+    setTrainStatus("Train or load a model before saving.", "status-warning");
+    return;
+  }
+
+  try {
+    const bundle = await captureCurrentBundle();
+    await saveModelBundleToDB(bundle, assetModelKey(activeAsset.symbol));
+    savedModelBundle = bundle;
+
+    select("#loadModel")?.style("display", "inline-block");
+    setTrainStatus(`${activeAsset.symbol} model saved in this browser.`, "status-success");
+    console.log("✓ Model saved to IndexedDB");
+  } catch (err) {
+    console.error("Save model failed:", err);
+    setTrainStatus(`Save failed: ${err?.message ?? err}`, "status-error");
+  }
+}
+
+async function loadSavedModel() {
+  if (isBusy()) {
+    warnBusy();
+    return;
+  }
+
+  if (!savedModelBundle) {
+    setTrainStatus("No saved model in this browser.", "status-warning");
+    return;
+  }
+
+  await restoreModelBundle(savedModelBundle, "Saved model loaded. You can predict now.");
+}
+
+async function exportModel() {
+  if (!isTrained || isTraining) {
+    setTrainStatus("Train or load a model before exporting.", "status-warning");
+    return;
+  }
+
+  try {
+    const bundle = await captureCurrentBundle();
+    const stamp = bundle.savedAt.slice(0, 10);
+    downloadBlob(modelBundleToBlob(bundle), `${activeAsset.symbol.toLowerCase()}-prediction-model-${stamp}.json`);
+    setTrainStatus("Model exported.", "status-success");
+  } catch (err) {
+    console.error("Export model failed:", err);
+    setTrainStatus(`Export failed: ${err?.message ?? err}`, "status-error");
+  }
+}
+
+async function importModel() {
+  const input = document.getElementById("importModelFile");
+  const file = input?.files?.[0];
+  if (!file) return;
+  if (isBusy()) {
+    warnBusy();
+    input.value = "";
+    return;
+  }
+
+  try {
+    const bundle = await modelBundleFromFile(file);
+    await restoreModelBundle(bundle, `Model imported from ${file.name}. You can predict now.`);
+  } catch (err) {
+    console.error("Import model failed:", err);
+    setTrainStatus(`Import failed: ${err?.message ?? err}`, "status-error");
+  } finally {
+    // allow re-importing the same file
+    input.value = "";
+  }
+}
+
+async function restoreModelBundle(bundle, statusText) {
+  if (isBusy()) {
+    warnBusy();
+    return;
+  }
+  if (!isModelReady || !neuralModel) {
+    setTrainStatus("Model not ready yet — wait for dataset load.", "status-warning");
+    return;
+  }
+  if (!isBundleCompatible(bundle)) {
+    setTrainStatus("That model uses features this version doesn't know.", "status-error");
+    return;
+  }
+  // Files from before assets existed are BTC models
+  const bundleAsset = bundle.info?.asset ?? DEFAULT_ASSET;
+  if (bundleAsset !== activeAsset.symbol) {
+    setTrainStatus(`That model was trained on ${bundleAsset} — select ${bundleAsset} first.`, "status-error");
+    return;
+  }
+
+  try {
+    // Rebuild the pipeline the bundle was trained with, then drop its weights in
+    setupFeatureToggles(bundleFeatureKeys(bundle));
+    setSplitInputs(bundle.info?.split);
+    setModeInputs(bundle.info?.mode ?? DEFAULT_MODE_CONFIG);
+    setTrainingConfigInputs(bundle.info?.training ?? DEFAULT_TRAINING_CONFIG);
+    buildNeuralModel();
+    lastTrainingSummary = bundle.info?.trainingSummary ?? null;
+
+    await applyModelBundle(neuralModel, bundle);
+    for (const member of bundle.members ?? []) {
+      const nn = createMemberModel();
+      await applyModelBundle(nn, member);
+      ensembleMembers.push(nn);
+    }
+    modelVersion = bundle.info?.modelVersion ?? bundle.savedAt;
+    showTrainedState("Retrain");
+    setTrainStatus(statusText, "status-success");
+    scrollElementToCenter("#predict");
+    console.log("✓ Model restored:", bundle.savedAt);
+
+    const trainEnd = bundle.info?.trainEndDate;
+    const currentEnd = datasetSplit?.train.at(-1)?.date;
+    const note =
+      trainEnd && currentEnd && trainEnd > currentEnd
+        ? `This model was trained up to ${trainEnd}, past the current split — held-out scores are optimistic.`
+        : "";
+    evaluateModel(note)
+      .then(refreshChartPredictions)
+      .catch((err) => console.error("Evaluation failed:", err));
+  } catch (err) {
+    console.error("Restore model failed:", err);
+    setTrainStatus(`Load failed: ${err?.message ?? err}`, "status-error");
+  }
+}
+
+/* -----------------------------
+   Backtest (walk-forward)
+------------------------------ */
+function readBacktestConfig() {
+  const num = (selector, fallback) => {
+    const v = Number(select(selector)?.value());
+    return Number.isFinite(v) && v >= 0 ? v : fallback;
+  };
+
+  return {
+    retrainEvery: Math.round(num("#btRetrainEvery", DEFAULT_BACKTEST.retrainEvery)),
+    initialWindow: Math.min(0.95, num("#btInitialWindow", DEFAULT_BACKTEST.initialWindow * 100) / 100),
+    feeBps: num("#btFee", DEFAULT_BACKTEST.feeBps),
+    slippageBps: num("#btSlippage", DEFAULT_BACKTEST.slippageBps),
+  };
+}
+
+function setBacktestResult(html) {
+  select("#backtestResult")?.html(html);
+}
+
+async function runBacktestFromUI() {
+  if (isBusy()) return;
+  if (!isModelReady) {
+    setBacktestResult(`<p class="eval-note">Dataset not loaded yet.</p>`);
+    return;
+  }
+
+  const opts = readBacktestConfig();
+
+  if (opts.retrainEvery === 0 && (!isTrained || modelMode.mode !== "sentiment")) {
+    setBacktestResult(
+      `<p class="eval-note">Train a Sentiment-mode model first, or set "Retrain every" above 0.</p>`
+    );
+    return;
+  }
+
+  isBacktesting = true;
+  select("#runBacktest")?.attribute("disabled", "");
+
+  try {
+    const { predictions, note } =
+      opts.retrainEvery > 0 ? await walkForwardPredictions(opts) : await heldOutPredictions();
+
+    const days = backtestDays(datasetRows, predictions);
+    const strategy = runBacktest(days, opts);
+    const benchmark = runBuyAndHold(days, opts);
+
+    console.log("✓ Backtest:", { strategy, benchmark });
+    setBacktestResult(renderBacktestHTML(strategy, benchmark, opts, note));
+  } catch (err) {
+    console.error("Backtest failed:", err);
+    setBacktestResult(`<p class="eval-note">Backtest failed: ${err?.message ?? err}</p>`);
+  } finally {
+    isBacktesting = false;
+    select("#runBacktest")?.removeAttribute("disabled");
+  }
+}
+
+// Reuse: the trained model only sees rows after its own training window
+async function heldOutPredictions() {
+  const rows = [...datasetSplit.validation, ...datasetSplit.test];
+  const labels = await predictLabels(rows);
+
+  return {
+    predictions: rows.map((r, i) => ({ index: r.index, date: r.date, label: labels[i] })),
+    note: "Trained model, replayed over its validation + test rows.",
+  };
+}
+
+// Retrain: fresh sentiment model on an expanding window before each block
+async function walkForwardPredictions(opts) {
+  const keys = readFeatureToggles();
+  const examples = buildFeatureExamples(datasetRows, keys);
+  const blocks = walkForwardBlocks(examples.length, opts.initialWindow, opts.retrainEvery);
+  const predictions = [];
+
+  for (const [i, block] of blocks.entries()) {
+    setBacktestResult(`<p class="eval-note">Walk-forward: training model ${i + 1} of ${blocks.length}…</p>`);
+
+    const model = await trainClassifier(examples.slice(0, block.trainEnd), keys);
+    const rows = examples.slice(block.start, block.end);
+    const results = await classifyManyAsync(model, rows.map((r) => r.inputs));
+    disposeModel(model);
+
+    rows.forEach((r, j) => {
+      predictions.push({ index: r.index, date: r.date, label: String(topResult(results[j])?.label ?? "") });
+    });
+  }
+
+  return {
+    predictions,
+    note: `Walk-forward: ${blocks.length} models, retrained every ${opts.retrainEvery} days on all earlier rows.`,
+  };
+}
+
+/* -----------------------------
+   Headless training helpers (no visor, no UI state)
+------------------------------ */
+async function trainClassifier(examples, keys, config = readTrainingConfig()) {
+  const nn = ml5.neuralNetwork(
+    modelOptionsFromConfig(config, {
+      task: "classification",
+      inputs: keys,
+      outputs: ["label"],
+    })
+  );
+
+  const rows = balancedTrainingRows(examples, config, "classification", { classOf: (ex) => ex.label, weights: false });
+  for (const ex of rows) nn.addData(ex.inputs, { label: ex.label });
+  nn.normalizeData();
+
+  await trainAsync(nn, config);
+  return nn;
+}
+
+// Resolves with the training summary (early stopping / best-epoch restore already applied)
+function trainAsync(nn, config, onEpoch = () => {}) {
+  const controller = createTrainingController(() => nn?.neuralNetwork?.model, config);
+
+  return new Promise((resolve) =>
+    nn.train(
+      trainOptionsFromConfig(config),
+      (epoch, logs) => {
+        controller.onEpochEnd(epoch, logs);
+        onEpoch(epoch, logs);
+      },
+      () => resolve(controller.finish())
+    )
+  );
+}
+
+function disposeModel(nn) {
+  try {
+    if (typeof nn?.dispose === "function") nn.dispose();
+    else nn?.neuralNetwork?.model?.dispose?.();
+  } catch (_) {
+    // ignore
+  }
+}
+
+/* -----------------------------
+   Prediction
+------------------------------ */
+// Date / price / volume from the form → { date, rate, volume }, or null with the reason in the status line
+function readPredictionPoint() {
+  const dateStr = String(select("#date")?.value() ?? "").trim();
+  const rateStr = String(select("#rate")?.value() ?? "").trim();
+  const volStr = String(select("#volume")?.value() ?? "").trim();
+
+  if (!dateStr || !rateStr || !volStr) {
+    setTrainStatus("Please fill Date, Price, and Volume.", "status-warning");
+    return null;
+  }
+
+  // "" when it isn't a real YYYY-MM-DD day (convertDate would turn that into day 0)
+  const date = normalizeDate(dateStr);
+  const rateVal = Number(rateStr);
+  const volVal = Number(volStr);
+
+  if (!date || !Number.isFinite(rateVal) || !Number.isFinite(volVal)) {
+    setTrainStatus("Invalid input values.", "status-warning");
+    return null;
+  }
+
+  return { date, rate: rateVal, volume: volVal };
+}
+
+function makePrediction() {
+  if (!isModelReady || !neuralModel) {
+    setTrainStatus("Model not ready.", "status-warning");
+    return;
+  }
+  if (!isTrained) {
+    setTrainStatus("Train the model first.", "status-warning");
+    return;
+  }
+
+  const point = readPredictionPoint();
+  if (!point) return;
+  const { date: dateStr, rate: rateVal, volume: volVal } = point;
+
+  // Same feature pipeline as training: stored history before the date + the user's row
+  const input = buildInferenceInputs(
+    datasetRows,
+    { date: dateStr, rate: rateVal, volume: volVal },
+    modelFeatureKeys
+  );
+
+  if (!input) {
+    setTrainStatus(
+      `Not enough history before ${dateStr} (features need ${maxLookback(modelFeatureKeys)} prior days).`,
+      "status-warning"
+    );
+    return;
+  }
+
+  const lastKnown = datasetRows.filter((r) => r.date < dateStr).at(-1)?.date;
+  const gapDays = lastKnown ? convertDate(dateStr) - convertDate(lastKnown) : 0;
+  predictionNote =
+    gapDays > 1
+      ? `History ends ${lastKnown} (${gapDays} days before ${dateStr}) — returns and indicators span that gap.`
+      : "";
+
+  // convertDate happily takes a future date; the model still reads that day's price and volume, it doesn't look ahead
+  if (dateStr > new Date().toISOString().slice(0, 10)) {
+    predictionNote +=
+      `${predictionNote ? " " : ""}${dateStr} is in the future: this classifies the price and volume you typed ` +
+      `for it. "Sentiment forecast" predicts the days ahead from the latest known history.`;
+  }
+
+  predictionInputs = { date: dateStr, rate: rateVal, volume: volVal, features: input };
+  console.log("Classifying with:", input);
+
+  if (modelMode.mode === "return") {
+    predictEnsembleAsync(input, "regression")
+      .then((res) => handleForecastResults(null, res, rateVal))
+      .catch((err) => handleForecastResults(err, null, rateVal));
+    return;
+  }
+
+  if (modelMode.mode === "direction") {
+    predictEnsembleAsync(input, "classification")
+      .then((res) => handleForecastResults(null, res, rateVal))
+      .catch((err) => handleForecastResults(err, null, rateVal));
+    return;
   }
 
+  predictEnsembleAsync(input, "classification")
+    .then((res) => handleResults(null, res))
+    .catch((err) => handleResults(err, null));
+}
+
+function handleResults(error, results) {
+  if (!checkPredictionResults(error, results)) return;
+
+  const top = topResult(results);
+
+  const label = String(top?.label ?? "Unknown");
+  const conf = typeof top?.confidence === "number" ? (top.confidence * 100).toFixed(1) : "0.0";
+
+  const { advice, emoji, cssClass } = labelToAdvice(label);
+  const vector = confidenceVector(results);
+  const uncertainty = predictionUncertainty(vector);
+  const flag = uncertainty?.uncertain ? " — uncertain" : "";
+
+  setTrainStatus(
+    `${activeAsset.symbol} prediction: ${label} (${conf}%)${flag}`,
+    uncertainty?.uncertain ? "status-warning" : "status-success"
+  );
+
+  setResult(`
+    <div class="prediction-result ${cssClass}">
+      <div class="prediction-asset">${activeAsset.name} (${activeAsset.symbol})</div>
+      <div class="prediction-header">
+        <div class="prediction-emoji">${emoji}</div>
+        <div class="prediction-label">${label}</div>
+      </div>
+      <div class="confidence">Confidence: ${conf}%</div>
+      ${renderProbabilityBarsHTML(vector, label)}
+      ${renderUncertaintyHTML(uncertainty)}
+      ${renderAgreementHTML(predictionAgreement)}
+      <div class="advice">${advice}</div>
+      <div id="explanation"></div>
+      ${predictionNote ? `<div class="prediction-note">${predictionNote}</div>` : ""}
+      <div class="disclaimer">Educational only — not financial advice.</div>
+    </div>
+  `);
+
+  // Center result card in viewport
+  scrollElementToCenter("#result");
+
+  explainPrediction(predictionInputs?.features, label);
+  recordPrediction(label, vector);
+}
+
+// Shows the failure card and returns false if there's nothing to display
+function checkPredictionResults(error, results) {
   if (error) {
     console.error("Prediction error:", error);
     setTrainStatus("Prediction failed (see console).", "status-error");
@@ -369,7 +1857,7 @@ function handleResults(error, results) {
       `<div class="prediction-result"><div class="prediction-label">Prediction failed</div></div>`
     );
     scrollElementToCenter("#result");
-    return;
+    return false;
   }
 
   console.log("Results:", results);
@@ -380,72 +1868,575 @@ function handleResults(error, results) {
       `<div class="prediction-result"><div class="prediction-label">No results</div></div>`
     );
     scrollElementToCenter("#result");
+    return false;
+  }
+
+  return true;
+}
+
+/* -----------------------------
+   Prediction log (prediction-log.js)
+------------------------------ */
+function setupPredictionLog() {
+  // Header clicks sort; a second click on the same column flips the order
+  document.getElementById("predictionLog")?.addEventListener("click", (event) => {
+    const key = event.target.closest?.("th[data-sort]")?.dataset.sort;
+    if (!key) return;
+
+    predictionLogSort = { key, dir: predictionLogSort.key === key ? -predictionLogSort.dir : -1 };
+    renderPredictionLog();
+  });
+
+  select("#exportPredictionsCSV")?.mousePressed(() => exportPredictionLog("csv"));
+  select("#exportPredictionsJSON")?.mousePressed(() => exportPredictionLog("json"));
+  select("#clearPredictions")?.mousePressed(clearPredictions);
+}
+
+// Logs the result on screen with the inputs makePrediction() stashed
+async function recordPrediction(predicted, confidences) {
+  if (!predictionInputs) return;
+
+  const { date, rate, volume, features } = predictionInputs;
+  predictionInputs = null;
+
+  try {
+    const record = await logPrediction({
+      asset: activeAsset.symbol,
+      date,
+      inputs: { rate, volume },
+      features,
+      mode: modelMode.mode,
+      horizon: modelMode.horizon,
+      flatThreshold: modelMode.flatThreshold,
+      predicted,
+      confidences,
+      modelVersion,
+      ensemble: predictionAgreement,
+    });
+    predictionLog.push(record);
+    await refreshPredictionLog();
+  } catch (err) {
+    console.warn("Could not log the prediction:", err);
+  }
+}
+
+// Class → probability in the mode's class order
+function confidenceVector(results) {
+  const order = modeClassLabels(modelMode.mode);
+  const rank = (label) => (order.includes(label) ? order.indexOf(label) : order.length);
+
+  return Object.fromEntries(
+    (results ?? [])
+      .filter((r) => typeof r?.confidence === "number")
+      .map((r) => [String(r.label), r.confidence])
+      .sort((a, b) => rank(a[0]) - rank(b[0]))
+  );
+}
+
+// Scores entries whose outcome is now in the dataset, then redraws the table
+async function refreshPredictionLog({ reload = false } = {}) {
+  if (reload) predictionLog = await loadPredictionLog(activeAsset.symbol);
+
+  const rowsByDate = new Map(datasetRows.map((r) => [r.date, r]));
+  const labelsByDate = new Map([...datasetRows.map((r) => [r.date, r.label]), ...liveLabels]);
+  const scored = await resolvePredictionOutcomes(predictionLog, rowsByDate, labelsByDate);
+  if (scored.length) console.log(`✓ Scored ${scored.length} logged predictions`);
+
+  renderPredictionLog();
+}
+
+function renderPredictionLog() {
+  select("#predictionLog")?.html(renderPredictionLogHTML(predictionLog, predictionLogSort));
+}
+
+function exportPredictionLog(format) {
+  if (!predictionLog.length) {
+    setTrainStatus("No predictions logged yet.", "status-warning");
     return;
   }
 
-  // Pick top confidence
-  let top = results[0];
-  for (const r of results) {
-    if (typeof r?.confidence === "number" && r.confidence > (top?.confidence ?? -1)) {
-      top = r;
+  const name = `${activeAsset.symbol.toLowerCase()}-predictions-${new Date().toISOString().slice(0, 10)}`;
+  if (format === "csv") {
+    downloadBlob(new Blob([predictionLogToCSV(predictionLog)], { type: "text/csv" }), `${name}.csv`);
+  } else {
+    downloadBlob(new Blob([predictionLogToJSON(predictionLog)], { type: "application/json" }), `${name}.json`);
+  }
+  setTrainStatus(`Exported ${predictionLog.length} logged predictions.`, "status-success");
+}
+
+async function clearPredictions() {
+  if (!predictionLog.length) return;
+  if (!confirm(`Delete all ${predictionLog.length} logged ${activeAsset.symbol} predictions?`)) return;
+
+  try {
+    await clearPredictionLog(predictionLog);
+    predictionLog = [];
+    renderPredictionLog();
+    setTrainStatus("Prediction history cleared.", "status-success");
+  } catch (err) {
+    setTrainStatus(`Could not clear the history: ${err?.message ?? err}`, "status-error");
+  }
+}
+
+/* -----------------------------
+   Sentiment forecast (horizons.js)
+------------------------------ */
+function setForecastResult(html) {
+  select("#forecastResult")?.html(html);
+}
+
+// One headless sentiment model per horizon: train on its split, score its test rows, forecast from the latest day
+async function runForecastFromUI() {
+  if (isBusy()) return;
+  if (!isModelReady || !datasetRows.length) {
+    setForecastResult(`<p class="eval-note">Dataset not loaded yet.</p>`);
+    return;
+  }
+
+  const keys = readFeatureToggles();
+  const config = readTrainingConfig();
+  const split = readSplitConfig();
+  const examples = buildFeatureExamples(datasetRows, keys);
+  const latest = examples.at(-1);
+
+  if (!latest) {
+    setForecastResult(`<p class="eval-note">Not enough history for the features (${maxLookback(keys)} days).</p>`);
+    return;
+  }
+
+  isForecasting = true;
+  select("#runForecast")?.attribute("disabled", "");
+
+  try {
+    const forecasts = [];
+
+    for (const [i, horizon] of SENTIMENT_HORIZONS.entries()) {
+      setForecastResult(
+        `<p class="eval-note">Training the ${horizon}-day model (${i + 1} of ${SENTIMENT_HORIZONS.length})…</p>`
+      );
+
+      const parts = splitChronological(shiftSentimentLabels(examples, datasetRows, horizon), split, horizon);
+      if (!parts.train.length) continue;
+
+      const model = await trainClassifier(parts.train, keys, config);
+      const [results, ...tests] = await classifyManyAsync(model, [latest, ...parts.test].map((r) => r.inputs));
+      disposeModel(model);
+
+      forecasts.push({
+        horizon,
+        date: addDays(latest.date, horizon),
+        label: topLabel(results),
+        confidences: sentimentProbabilities(results),
+        score: scoreHorizon(parts.train, parts.test, tests.map(topLabel)),
+        testRange: describeSplit(parts).test.range,
+      });
     }
+
+    console.log("✓ Sentiment forecast:", forecasts);
+    setForecastResult(renderForecastHTML({ date: latest.date, label: latest.label }, forecasts));
+  } catch (err) {
+    console.error("Forecast failed:", err);
+    setForecastResult(`<p class="eval-note">Forecast failed: ${err?.message ?? err}</p>`);
+  } finally {
+    isForecasting = false;
+    select("#runForecast")?.removeAttribute("disabled");
   }
+}
 
-  const label = String(top?.label ?? "Unknown");
-  const conf = typeof top?.confidence === "number" ? (top.confidence * 100).toFixed(1) : "0.0";
+/* -----------------------------
+   Sequence model (sequence-model.js)
+------------------------------ */
+function setupSequencePanel() {
+  select("#seqArchitecture")?.html(renderArchitectureOptionsHTML(DEFAULT_SEQUENCE_CONFIG.architecture));
+}
 
-  const { advice, emoji, cssClass } = labelToAdvice(label);
+function readSequenceConfig() {
+  return sanitizeSequenceConfig({
+    architecture: select("#seqArchitecture")?.value(),
+    window: select("#seqWindow")?.value(),
+    units: select("#seqUnits")?.value(),
+  });
+}
 
-  setTrainStatus(`Prediction: ${label} (${conf}%)`, "status-success");
+function setSequenceResult(html) {
+  select("#sequenceResult")?.html(html);
+}
+
+// Same chronological split percentages as the network; scores validation + test, then forecasts the next day
+async function trainSequenceFromUI() {
+  if (isBusy()) return;
+  if (!isModelReady || !tf) {
+    setSequenceResult(`<p class="eval-note">Dataset not loaded yet.</p>`);
+    return;
+  }
+
+  const sequenceConfig = readSequenceConfig();
+  const config = readTrainingConfig();
+  // Next-day targets: one row of embargo before each boundary
+  const parts = splitChronological(buildSequenceExamples(datasetRows, sequenceConfig.window), readSplitConfig(), 1);
+
+  if (!parts.train.length) {
+    setSequenceResult(`<p class="eval-note">Not enough labelled days for a ${sequenceConfig.window}-day window.</p>`);
+    return;
+  }
+
+  isTrainingSequence = true;
+  select("#trainSequence")?.attribute("disabled", "");
+
+  let model = null;
+
+  try {
+    const scaler = fitSequenceScaler(parts.train);
+    model = createSequenceModel(tf, sequenceConfig, config);
+
+    const rows = balancedTrainingRows(parts.train, config, "classification", { classOf: (ex) => ex.label });
+    const summary = await fitSequenceModel(tf, model, rows, scaler, config, (epoch, logs) => {
+      const val = typeof logs.val_loss === "number" ? ` · val_loss ${logs.val_loss.toFixed(4)}` : "";
+      setSequenceResult(
+        `<p class="eval-note">${describeSequenceConfig(sequenceConfig)}: epoch ${epoch + 1} / ${config.epochs}` +
+          ` · loss ${logs.loss.toFixed(4)}${val}</p>`
+      );
+    });
+
+    const predict = (rows) => predictSequences(tf, model, rows.map((r) => r.steps), scaler).map(topLabel);
+    const validationPredicted = predict(parts.validation);
+    const testPredicted = predict(parts.test);
+    const metrics = (rows, predicted) =>
+      computeClassificationMetrics(rows.map((r) => r.label), predicted, SENTIMENT_LABELS);
+
+    const latest = latestSequenceWindow(datasetRows, sequenceConfig.window);
+    const [next] = latest ? predictSequences(tf, model, [latest], scaler) : [];
+
+    console.log("✓ Sequence model:", describeSequenceConfig(sequenceConfig), summary);
+    setSequenceResult(`
+      <p class="prediction-note">${describeSequenceConfig(sequenceConfig)} · ${describeTrainingSummary(summary)}</p>
+      ${next ? renderSequenceForecastHTML(datasetRows.at(-1).date, next) : ""}
+      ${renderSplitHTML(describeSplit(parts))}
+      ${renderSequenceVerdictHTML(scoreHorizon(parts.train, parts.test, testPredicted))}
+      ${renderMetricsHTML("Validation — next-day label", metrics(parts.validation, validationPredicted))}
+      ${renderMetricsHTML("Test — next-day label", metrics(parts.test, testPredicted))}
+    `);
+  } catch (err) {
+    console.error("Sequence model failed:", err);
+    setSequenceResult(`<p class="eval-note">Sequence model failed: ${err?.message ?? err}</p>`);
+  } finally {
+    disposeSequenceModel(model);
+    isTrainingSequence = false;
+    select("#trainSequence")?.removeAttribute("disabled");
+  }
+}
+
+/* -----------------------------
+   What-if explorer (whatif.js)
+------------------------------ */
+function readWhatIfConfig() {
+  return sanitizeWhatIfConfig({
+    priceRange: select("#whatIfPriceRange")?.value(),
+    volumeFactor: select("#whatIfVolumeFactor")?.value(),
+    steps: select("#whatIfSteps")?.value(),
+  });
+}
+
+function setWhatIfResult(html) {
+  select("#whatIfResult")?.html(html);
+}
+
+// Holds the form's date, sweeps price × volume around the form's values; one batch per model
+async function runWhatIfFromUI() {
+  if (isBusy()) return;
+  if (!isTrained) {
+    setWhatIfResult(`<p class="eval-note">Train or load a model first.</p>`);
+    return;
+  }
+
+  const center = readPredictionPoint();
+  if (!center) {
+    setWhatIfResult(`<p class="eval-note">Fill Date, Price and Volume in the form: the sweep is centred on them.</p>`);
+    return;
+  }
+
+  const config = readWhatIfConfig();
+  const { task } = MODEL_MODES[modelMode.mode];
+  const classes = modeClassLabels(modelMode.mode);
+
+  const axes = whatIfAxes(center, config);
+  const grid = axes.volumes.flatMap((volume) => axes.rates.map((rate) => ({ rate, volume })));
+  const curve = whatIfAxes(center, config, WHATIF_CURVE_POINTS).rates.map((rate) => ({ rate, volume: center.volume }));
+
+  const points = whatIfInputs(datasetRows, center.date, [...grid, ...curve], modelFeatureKeys);
+  const ready = points.filter((p) => p.inputs);
+  if (!ready.length) {
+    setWhatIfResult(
+      `<p class="eval-note">Not enough history before ${center.date} ` +
+        `(features need ${maxLookback(modelFeatureKeys)} prior days).</p>`
+    );
+    return;
+  }
+
+  isExploring = true;
+  select("#runWhatIf")?.attribute("disabled", "");
+  setWhatIfResult(`<p class="prediction-note">Predicting ${points.length} points…</p>`);
+
+  try {
+    const { combined } = await predictRows(ready, task);
+    ready.forEach((p, i) => (p.results = combined[i]));
+
+    setWhatIfResult(`
+      <p class="prediction-note">
+        ${center.date} · ${formatUSD(center.rate)} ± ${config.priceRange}% ·
+        volume ${formatCompactUSD(center.volume)} ÷/× ${config.volumeFactor}
+      </p>
+      ${renderWhatIfHeatmapHTML(axes, points.slice(0, grid.length), classes, task)}
+      <h3 class="eval-title">${task === "regression" ? "Predicted return" : "Class probabilities"} against price</h3>
+      ${renderWhatIfCurvesSVG(points.slice(grid.length), classes, task, center.rate)}
+    `);
+  } catch (err) {
+    console.error("What-if sweep failed:", err);
+    setWhatIfResult(`<p class="eval-note">What-if sweep failed: ${err?.message ?? err}</p>`);
+  } finally {
+    isExploring = false;
+    select("#runWhatIf")?.removeAttribute("disabled");
+  }
+}
+
+/* -----------------------------
+   Forecast modes (direction / return) → price range card
+------------------------------ */
+function handleForecastResults(error, results, price) {
+  if (Array.isArray(error) && results == null) {
+    results = error;
+    error = null;
+  }
+
+  if (!checkPredictionResults(error, results)) return;
+
+  const days = modelMode.horizon;
+  const dayText = `${days} day${days === 1 ? "" : "s"}`;
+
+  let title;
+  let detail;
+  let band;
+  let classDetail = "";
+  let uncertainty = null;
+
+  if (modelMode.mode === "direction") {
+    const top = topResult(results);
+    const vector = confidenceVector(results);
+    uncertainty = predictionUncertainty(vector);
+    classDetail = renderProbabilityBarsHTML(vector, top?.label) + renderUncertaintyHTML(uncertainty);
+    const conf = typeof top?.confidence === "number" ? (top.confidence * 100).toFixed(1) : "0.0";
+    const ranges = forecastBands?.[top?.label];
+
+    title = `${top?.label ?? "Unknown"} · ${conf}%`;
+    detail = "Range: middle 50% of past moves after this signal";
+    band = ranges ? priceRange(price, ranges.low, ranges.mid, ranges.high) : null;
+  } else {
+    const ret = regressionValue(results);
+    const spread = forecastBands?.spread ?? 0;
+
+    title = `${ret >= 0 ? "+" : ""}${(ret * 100).toFixed(2)}% in ${dayText}`;
+    detail = `Range: ± ${(spread * 100).toFixed(2)}% (validation RMSE)`;
+    band = Number.isFinite(ret) ? priceRange(price, ret - spread, ret, ret + spread) : null;
+  }
+
+  const flag = uncertainty?.uncertain ? " — uncertain" : "";
+  setTrainStatus(
+    `${activeAsset.symbol} forecast: ${title}${flag}`,
+    uncertainty?.uncertain ? "status-warning" : "status-success"
+  );
 
   setResult(`
-    <div class="prediction-result ${cssClass}">
+    <div class="prediction-result forecast">
+      <div class="prediction-asset">${activeAsset.name} (${activeAsset.symbol})</div>
       <div class="prediction-header">
-        <div class="prediction-emoji">${emoji}</div>
-        <div class="prediction-label">${label}</div>
+        <div class="prediction-label">${title}</div>
       </div>
-      <div class="confidence">Confidence: ${conf}%</div>
-      <div class="advice">${advice}</div>
+      <div class="price-range">
+        ${band ? `${formatUSD(band.low)} – ${formatUSD(band.high)}` : "No range available"}
+      </div>
+      <div class="confidence">${detail}</div>
+      ${classDetail}
+      ${renderAgreementHTML(predictionAgreement)}
+      <div class="advice">
+        ${band ? `Expected price in ${dayText}: around ${formatUSD(band.mid)}` : ""}
+      </div>
+      <div id="explanation"></div>
+      ${predictionNote ? `<div class="prediction-note">${predictionNote}</div>` : ""}
       <div class="disclaimer">Educational only — not financial advice.</div>
     </div>
   `);
 
-  // Center result card in viewport
   scrollElementToCenter("#result");
+
+  explainPrediction(predictionInputs?.features, topResult(results)?.label);
+  if (modelMode.mode === "direction") recordPrediction(topResult(results)?.label, confidenceVector(results));
+  else recordPrediction(regressionValue(results), null);
+}
+
+// ml5 regression results: [{ value, label }] (one entry per output)
+function regressionValue(results) {
+  const first = Array.isArray(results) ? results[0] : results;
+  return Number(first?.value);
+}
+
+function topResult(results) {
+  // Pick top confidence
+  let top = results?.[0];
+  for (const r of results ?? []) {
+    if (typeof r?.confidence === "number" && r.confidence > (top?.confidence ?? -1)) {
+      top = r;
+    }
+  }
+  return top;
+}
+
+/* -----------------------------
+   Promise wrappers for ml5 classify (callback and/or promise, version-dependent)
+------------------------------ */
+// neuralModel alone, or every ensemble member averaged (predictionAgreement says how well they agreed)
+async function predictEnsembleAsync(input, task) {
+  const run = (model) => (task === "regression" ? predictAsync(model, input) : classifyAsync(model, input));
+  predictionAgreement = null;
+
+  if (!ensembleMembers.length) return run(neuralModel);
+
+  const members = [];
+  for (const model of ensembleModels()) members.push(await run(model));
+
+  const combined = combineMemberResults(members, task);
+  predictionAgreement = ensembleAgreement(members, combined, task);
+  return combined;
+}
+
+function classifyAsync(model, input) {
+  return callMl5Async((cb) => model.classify(input, cb));
+}
+
+function predictAsync(model, input) {
+  return callMl5Async((cb) => model.predict(input, cb));
+}
+
+async function predictManyAsync(model, inputs) {
+  if (typeof model.predictMultiple === "function") {
+    return callMl5Async((cb) => model.predictMultiple(inputs, cb));
+  }
+
+  const out = [];
+  for (const input of inputs) out.push(await predictAsync(model, input));
+  return out;
+}
+
+async function classifyManyAsync(model, inputs) {
+  if (typeof model.classifyMultiple === "function") {
+    return callMl5Async((cb) => model.classifyMultiple(inputs, cb));
+  }
+
+  const out = [];
+  for (const input of inputs) out.push(await classifyAsync(model, input));
+  return out;
+}
+
+function callMl5Async(invoke) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const done = (error, results) => {
+      if (settled) return;
+      // Some ml5 versions pass results array as first arg
+      if (Array.isArray(error) && results == null) {
+        results = error;
+        error = null;
+      }
+      settled = true;
+      if (error) reject(error);
+      else resolve(results);
+    };
+
+    try {
+      const maybePromise = invoke(done);
+      if (maybePromise && typeof maybePromise.then === "function") {
+        maybePromise.then((res) => done(null, res)).catch((err) => done(err, null));
+      }
+    } catch (err) {
+      done(err, null);
+    }
+  });
 }
 
 /* -----------------------------
-   Fetch live data (CoinGecko)
+   Fetch live data (provider chain, market-data.js)
 ------------------------------ */
+function setupDataSourceSelect() {
+  // ?source=mock (or any provider id) preselects it — handy for offline testing
+  const fromUrl = new URLSearchParams(location.search).get("source");
+  const selected = MARKET_PROVIDERS[fromUrl] ? fromUrl : "auto";
+  select("#dataSource")?.html(renderProviderOptionsHTML(selected));
+}
+
+function setupCacheConfig() {
+  const config = loadCacheConfig();
+  select("#liveCacheMinutes")?.value(config.liveMinutes);
+  select("#historyCacheHours")?.value(config.historyHours);
+
+  document.getElementById("cacheConfig")?.addEventListener("change", () => {
+    saveCacheConfig(readCacheConfig());
+  });
+
+  select("#clearCache")?.mousePressed(async () => {
+    try {
+      await clearApiCache();
+      setTrainStatus("Cached API responses cleared.", "status-success");
+    } catch (err) {
+      setTrainStatus(`Could not clear the cache: ${err?.message ?? err}`, "status-error");
+    }
+  });
+}
+
+function readCacheConfig() {
+  return sanitizeCacheConfig({
+    liveMinutes: select("#liveCacheMinutes")?.value(),
+    historyHours: select("#historyCacheHours")?.value(),
+  });
+}
+
 async function fetchLiveData() {
+  // The asset can be switched while the request is out
+  const asset = activeAsset;
   const btn = select("#fetchData");
   const lastUpdate = select("#lastUpdate");
+  const order = providerOrder(String(select("#dataSource")?.value() ?? "auto"));
 
   btn?.attribute("disabled", "");
   btn?.html("Fetching…");
-  lastUpdate?.html("Fetching CoinGecko…");
+  lastUpdate?.html(`Fetching ${MARKET_PROVIDERS[order[0]].label}…`);
 
   try {
-    const url =
-      "https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd&include_24hr_vol=true";
+    const snap = await fetchMarketSnapshot(asset, order, {
+      ttlMs: readCacheConfig().liveMinutes * 60 * 1000,
+    });
+    const recorded = await recordLiveObservation(snap, asset);
+    if (asset !== activeAsset) return;
 
-    const res = await fetch(url, { cache: "no-store" });
-    if (!res.ok) throw new Error(`CoinGecko HTTP ${res.status}`);
+    // Whole dollars for BTC/ETH, cents for cheaper coins
+    select("#rate")?.value(snap.price >= 1000 ? Math.round(snap.price) : Number(snap.price.toFixed(2)));
+    if (snap.volume !== null) select("#volume")?.value(Math.round(snap.volume));
 
-    const data = await res.json();
-    const price = data?.bitcoin?.usd;
-    const vol = data?.bitcoin?.usd_24h_vol;
+    const when = new Date(snap.fetchedAt).toLocaleString();
+    const change = snap.change !== null ? ` · 24h ${snap.change >= 0 ? "+" : ""}${snap.change.toFixed(2)}%` : "";
+    const noVolume = snap.volume === null ? " · no volume from this source, kept the current value" : "";
+    const fallback = snap.failures.length
+      ? ` (after ${snap.failures.map((f) => f.sourceLabel).join(", ")} failed)`
+      : "";
 
-    if (typeof price !== "number" || typeof vol !== "number") {
-      throw new Error("Unexpected CoinGecko response format");
-    }
+    let origin = snap.sourceLabel;
+    if (snap.stale) origin += ` — offline, last snapshot from ${describeAge(Date.parse(snap.fetchedAt))}`;
+    else if (snap.cached) origin += ` (cached ${describeAge(Date.parse(snap.fetchedAt))})`;
 
-    select("#rate")?.value(Math.round(price));
-    select("#volume")?.value(Math.round(vol));
+    const label = recorded?.label ? ` (${recorded.label})` : "";
+    const later = recorded?.deferred ? " — it joins the history on the next load, a job was running" : "";
+    const note = recorded ? ` · saved as the ${recorded.date} observation${label}${later}` : "";
 
-    const now = new Date();
-    lastUpdate?.html(`Last update: ${now.toLocaleString()}`);
-    console.log("✓ CoinGecko live data:", { price, vol });
+    lastUpdate?.html(`${origin} · ${when}${change}${noVolume}${fallback}${note}`);
   } catch (err) {
     console.error("Fetch Live Data failed:", err);
     lastUpdate?.html(`Fetch failed: ${err?.message ?? err}`);
@@ -455,44 +2446,74 @@ async function fetchLiveData() {
   }
 }
 
-/* -----------------------------
-   Helpers
------------------------------- */
-function convertDate(dateStr) {
-  // expects YYYY-MM-DD
-  const parts = String(dateStr).split("-");
-  if (parts.length !== 3) return 0;
+// Fresh quotes only: cached ones are already stored, mock prices aren't real observations.
+// Not merged while isBusy() (the running job reads datasetRows): it's stored, so the next load picks it up.
+async function recordLiveObservation(snap, asset) {
+  if (snap.cached || snap.source === "mock") return null;
 
-  const y = Number(parts[0]);
-  const m = Number(parts[1]);
-  const d = Number(parts[2]);
+  const date = snap.fetchedAt.slice(0, 10);
+  try {
+    const obs = await recordObservation({
+      asset: asset.symbol,
+      date,
+      rate: snap.price,
+      volume: snap.volume,
+      label: liveLabels.get(date) ?? null,
+      source: snap.source,
+    });
 
-  if (!Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(d)) return 0;
+    const joins = asset === activeAsset && !uploadedDatasetName;
+    if (joins && isBusy()) return { ...obs, deferred: true };
 
-  const inputDate = new Date(y, m - 1, d);
-  const refDate = new Date(2018, 0, 1);
+    const merged = mergeObservations(datasetRows, [obs]);
+    if (merged.added && joins) {
+      datasetRows = merged.rows;
+      if (datasetReport) datasetReport.observed += merged.added;
+      historyChart?.setRows(datasetRows);
+    }
+    return obs;
+  } catch (err) {
+    console.warn("Could not record the observation:", err);
+    return null;
+  }
+}
 
-  const diffDays = Math.floor((inputDate - refDate) / (1000 * 60 * 60 * 24));
-  return Number.isFinite(diffDays) ? diffDays : 0;
+function exportDataset() {
+  if (!datasetRows.length) {
+    setTrainStatus("Dataset not loaded yet.", "status-warning");
+    return;
+  }
+
+  const last = datasetRows[datasetRows.length - 1].date;
+  const name = `${activeAsset.symbol.toLowerCase()}-fear-greed-${last}.csv`;
+  downloadBlob(new Blob([datasetToCSV(datasetRows)], { type: "text/csv" }), name);
+  setTrainStatus(`Exported ${datasetRows.length} rows (${datasetRows[0].date} → ${last}).`, "status-success");
 }
 
+/* -----------------------------
+   Helpers
+------------------------------ */
 function labelToAdvice(label) {
   switch (label) {
     case "Extreme Fear":
-      return { advice: "Buy the dip → STRONG BUY", emoji: "🔥", cssClass: "extreme-fear" };
+      return { advice: "Buy the dip → STRONG BUY", emoji: "🔥", cssClass: "extreme-fear", signal: "strong-buy" };
     case "Fear":
-      return { advice: "Good entry point → BUY", emoji: "😰", cssClass: "fear" };
+      return { advice: "Good entry point → BUY", emoji: "😰", cssClass: "fear", signal: "buy" };
     case "Neutral":
-      return { advice: "Market stable → HOLD", emoji: "😐", cssClass: "neutral" };
+      return { advice: "Market stable → HOLD", emoji: "😐", cssClass: "neutral", signal: "hold" };
     case "Greed":
-      return { advice: "Consider taking profits", emoji: "😎", cssClass: "greed" };
+      return { advice: "Consider taking profits", emoji: "😎", cssClass: "greed", signal: "take-profit" };
     case "Extreme Greed":
-      return { advice: "Sell high → SELL", emoji: "🤑", cssClass: "extreme-greed" };
+      return { advice: "Sell high → SELL", emoji: "🤑", cssClass: "extreme-greed", signal: "sell" };
     default:
-      return { advice: "Unknown sentiment", emoji: "❓", cssClass: "" };
+      return { advice: "Unknown sentiment", emoji: "❓", cssClass: "", signal: "hold" };
   }
 }
 
+function formatUSD(x) {
+  return `$${Math.round(x).toLocaleString()}`;
+}
+
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
\ No newline at end of file
@@ -0,0 +1,96 @@
+/* storage.js — tiny promise wrapper around IndexedDB
+   - One database for the whole app, one object store per concern
+   - Keys are passed explicitly (stores are created without keyPath)
+   - Reads (idbGet, idbGetAll) resolve to null / [] instead of throwing when IndexedDB is unavailable;
+     writes (idbPut, idbDelete, idbClear) reject, so callers can report a failed save
+*/
+
+const IDB_NAME = "bitcoin-prediction";
+const IDB_VERSION = 4;
+
+// Add new stores here and bump IDB_VERSION
+const IDB_STORES = ["models", "apiCache", "observations", "predictions"];
+
+let idbPromise = null;
+
+/* -----------------------------
+   Open (cached)
+------------------------------ */
+function openAppDB() {
+  if (idbPromise) return idbPromise;
+
+  idbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const name of IDB_STORES) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+      }
+    };
+
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab."));
+  });
+
+  // Allow a retry after a failed open
+  idbPromise.catch(() => {
+    idbPromise = null;
+  });
+
+  return idbPromise;
+}
+
+/* -----------------------------
+   Request helpers
+------------------------------ */
+async function idbRequest(storeName, mode, makeRequest) {
+  const db = await openAppDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = makeRequest(tx.objectStore(storeName));
+
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error ?? req.error);
+    tx.onabort = () => reject(tx.error ?? new Error("IndexedDB transaction aborted"));
+  });
+}
+
+async function idbGet(storeName, key) {
+  try {
+    const value = await idbRequest(storeName, "readonly", (store) => store.get(key));
+    return value ?? null;
+  } catch (e) {
+    console.warn(`idbGet(${storeName}, ${key}) failed:`, e);
+    return null;
+  }
+}
+
+function idbPut(storeName, key, value) {
+  return idbRequest(storeName, "readwrite", (store) => store.put(value, key));
+}
+
+function idbDelete(storeName, key) {
+  return idbRequest(storeName, "readwrite", (store) => store.delete(key));
+}
+
+function idbClear(storeName) {
+  return idbRequest(storeName, "readwrite", (store) => store.clear());
+}
+
+async function idbGetAll(storeName) {
+  try {
+    const values = await idbRequest(storeName, "readonly", (store) => store.getAll());
+    return Array.isArray(values) ? values : [];
+  } catch (e) {
+    console.warn(`idbGetAll(${storeName}) failed:`, e);
+    return [];
+  }
+}
@@ -0,0 +1,113 @@
+/* targets.js — what the model learns to predict (model "modes")
+   - sentiment: same-day Fear & Greed label (default, original behaviour)
+   - direction: Up / Flat / Down over the next N days (flat = within ±threshold)
+   - return:    regression on the N-day forward percent return
+   - Forward-looking targets use the row dated N calendar days later, the day prediction-log.js scores against;
+     days without one (the last N, and any before a gap in the data) are dropped
+   - Those targets look N days past their own row: splitChronological() drops N rows before each boundary
+*/
+
+const MODEL_MODES = {
+  sentiment: { label: "Sentiment (Fear & Greed)", task: "classification", output: "label" },
+  direction: { label: "Price direction (up / flat / down)", task: "classification", output: "label" },
+  return: { label: "N-day return (regression)", task: "regression", output: "ret" },
+};
+
+const DIRECTION_LABELS = ["Down", "Flat", "Up"];
+
+const DEFAULT_MODE_CONFIG = { mode: "sentiment", horizon: 1, flatThreshold: 0.01 };
+
+/* -----------------------------
+   Targets
+------------------------------ */
+// byDate: history rows by date; return from `date` to `horizon` calendar days later, or null
+function forwardReturn(byDate, date, horizon) {
+  const now = byDate.get(date)?.rate;
+  const later = byDate.get(addDays(date, horizon))?.rate;
+  if (!now || typeof later !== "number") return null;
+  return (later - now) / now;
+}
+
+// Days a row's target looks ahead — the embargo splitChronological() needs between train and held-out rows
+function targetHorizon(config) {
+  return config.mode === "sentiment" ? 0 : config.horizon;
+}
+
+function directionLabel(ret, flatThreshold) {
+  if (ret > flatThreshold) return "Up";
+  if (ret < -flatThreshold) return "Down";
+  return "Flat";
+}
+
+// examples come from buildFeatureExamples (they carry `index` into history)
+function attachTargets(examples, history, config = DEFAULT_MODE_CONFIG) {
+  const byDate = new Map(history.map((row) => [row.date, row]));
+  const out = [];
+
+  for (const ex of examples) {
+    if (config.mode === "sentiment") {
+      out.push({ ...ex, target: ex.label });
+      continue;
+    }
+
+    const ret = forwardReturn(byDate, ex.date, config.horizon);
+    if (ret === null) continue;
+
+    const target = config.mode === "direction" ? directionLabel(ret, config.flatThreshold) : ret;
+    out.push({ ...ex, target, futureReturn: ret });
+  }
+
+  return out;
+}
+
+function modeClassLabels(mode) {
+  if (mode === "direction") return DIRECTION_LABELS;
+  if (mode === "sentiment") return SENTIMENT_LABELS;
+  return [];
+}
+
+/* -----------------------------
+   Price ranges for the result card
+------------------------------ */
+// Interquartile range of realised forward returns per predicted class (train rows only)
+function directionReturnRanges(trainExamples) {
+  const ranges = {};
+
+  for (const label of DIRECTION_LABELS) {
+    const rets = trainExamples
+      .filter((ex) => ex.target === label)
+      .map((ex) => ex.futureReturn)
+      .sort((a, b) => a - b);
+
+    ranges[label] = rets.length
+      ? { low: quantile(rets, 0.25), mid: quantile(rets, 0.5), high: quantile(rets, 0.75) }
+      : null;
+  }
+
+  return ranges;
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function priceRange(price, low, mid, high) {
+  return {
+    low: price * (1 + low),
+    mid: price * (1 + mid),
+    high: price * (1 + high),
+  };
+}
+
+/* -----------------------------
+   Settings UI
+------------------------------ */
+function renderModeOptionsHTML(selected) {
+  return Object.entries(MODEL_MODES)
+    .map(([key, m]) => `<option value="${key}" ${key === selected ? "selected" : ""}>${m.label}</option>`)
+    .join("");
+}
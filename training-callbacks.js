@@ -0,0 +1,150 @@
+/* training-callbacks.js — epoch-end control for ml5/tf.js training
+   - Early stopping on val_loss (falls back to loss when ml5 has no validation split) with patience
+   - Learning-rate schedules: step, exponential, plateau
+   - Keeps a copy of the best epoch's weights and puts them back when training ends
+   - Stops via tf's model.stopTraining flag, which fit() checks at the end of each epoch
+*/
+
+const LR_SCHEDULES = {
+  none: "Constant",
+  step: "Step (× factor every N epochs)",
+  exponential: "Exponential (× factor every epoch)",
+  plateau: "On plateau (× factor after N stale epochs)",
+};
+
+const MIN_LEARNING_RATE = 1e-6;
+
+function createTrainingController(getTfModel, config) {
+  const state = {
+    monitor: null, // "val_loss" | "loss"
+    best: Infinity,
+    bestEpoch: -1,
+    bestWeights: null,
+    lastEpoch: -1,
+    stale: 0, // epochs since last improvement (early stopping)
+    lrStale: 0, // epochs since last improvement or LR drop (plateau)
+    learningRate: config.learningRate,
+    stopReason: null,
+  };
+
+  function onEpochEnd(epoch, logs = {}) {
+    const model = getTfModel();
+    state.lastEpoch = epoch;
+
+    state.monitor ??= typeof logs.val_loss === "number" ? "val_loss" : "loss";
+    const value = logs[state.monitor];
+    if (typeof value !== "number" || !Number.isFinite(value)) return;
+
+    if (value < state.best - config.minDelta) {
+      state.best = value;
+      state.bestEpoch = epoch;
+      state.stale = 0;
+      state.lrStale = 0;
+      if (config.restoreBest && model) snapshotWeights(model);
+    } else {
+      state.stale++;
+      state.lrStale++;
+    }
+
+    applySchedule(model, epoch);
+
+    if (config.earlyStopping && state.stale >= config.patience && model) {
+      state.stopReason = `no ${state.monitor} improvement for ${config.patience} epochs`;
+      model.stopTraining = true;
+    }
+  }
+
+  function applySchedule(model, epoch) {
+    const { lrSchedule, lrFactor, lrStep } = config;
+    let next = state.learningRate;
+
+    if (lrSchedule === "step" && (epoch + 1) % lrStep === 0) next *= lrFactor;
+    if (lrSchedule === "exponential") next *= lrFactor;
+    if (lrSchedule === "plateau" && state.lrStale >= lrStep) {
+      next *= lrFactor;
+      state.lrStale = 0;
+    }
+
+    next = Math.max(MIN_LEARNING_RATE, next);
+    if (next !== state.learningRate && model) {
+      setOptimizerLearningRate(model.optimizer, next);
+      console.log(`LR → ${next.toExponential(2)} (epoch ${epoch + 1})`);
+      state.learningRate = next;
+    }
+  }
+
+  function snapshotWeights(model) {
+    disposeWeights(state.bestWeights);
+    state.bestWeights = model.getWeights().map((w) => w.clone());
+  }
+
+  // Call once after fit() resolves (or is stopped); returns a summary for the UI
+  function finish({ stopped = null } = {}) {
+    const model = getTfModel();
+    let restored = false;
+
+    if (config.restoreBest && state.bestWeights && model && state.bestEpoch !== state.lastEpoch) {
+      model.setWeights(state.bestWeights);
+      restored = true;
+    }
+
+    disposeWeights(state.bestWeights);
+    state.bestWeights = null;
+
+    const reason = stopped ?? state.stopReason ?? "ran all epochs";
+
+    return {
+      monitor: state.monitor,
+      bestEpoch: state.bestEpoch + 1,
+      bestValue: state.best,
+      lastEpoch: state.lastEpoch + 1,
+      stoppedEarly: Boolean(stopped ?? state.stopReason),
+      reason,
+      restored,
+      finalLearningRate: state.learningRate,
+    };
+  }
+
+  return {
+    onEpochEnd,
+    finish,
+    // set once early stopping has asked fit() to end
+    get stopReason() {
+      return state.stopReason;
+    },
+  };
+}
+
+// SGD caches the rate in a tensor (needs setLearningRate); Adam & co. read the field each step
+function setOptimizerLearningRate(optimizer, lr) {
+  if (!optimizer) return;
+  if (typeof optimizer.setLearningRate === "function") optimizer.setLearningRate(lr);
+  else optimizer.learningRate = lr;
+}
+
+function disposeWeights(weights) {
+  if (!weights) return;
+  for (const w of weights) w.dispose();
+}
+
+function describeTrainingSummary(summary) {
+  if (!summary || summary.bestEpoch < 1) return "";
+
+  const best = `${summary.monitor} ${summary.bestValue.toFixed(4)}`;
+  let kept;
+  if (summary.bestEpoch === summary.lastEpoch) kept = `kept epoch ${summary.lastEpoch}, also the best (${best})`;
+  else if (summary.restored) kept = `restored best epoch ${summary.bestEpoch} (${best})`;
+  else kept = `kept last epoch ${summary.lastEpoch} (best was epoch ${summary.bestEpoch}, ${best})`;
+
+  const stop = summary.stoppedEarly
+    ? `stopped at epoch ${summary.lastEpoch}: ${summary.reason}`
+    : `${summary.reason} (${summary.lastEpoch})`;
+
+  return `${stop}; ${kept}`;
+}
+
+function renderScheduleOptionsHTML(selected) {
+  return Object.entries(LR_SCHEDULES)
+    .map(([key, label]) => `<option value="${key}" ${key === selected ? "selected" : ""}>${label}</option>`)
+    .join("");
+}
@@ -0,0 +1,145 @@
+/* training-config.js — user-tunable network + training options
+   - Persisted in localStorage so experiments survive a reload
+   - Turned into ml5 neuralNetwork options (custom `layers`) and train() options here,
+     so the main model and the headless models (backtest etc.) are built the same way
+   - Early stopping / LR schedule fields are consumed by training-callbacks.js
+   - ensembleSize / bootstrap: how many networks to train and average (ensemble.js)
+   - balancing: class weights or over/undersampling of the train rows (class-balance.js)
+   - No DOM access at load time: training-worker.js imports this file too
+*/
+
+const TRAINING_CONFIG_KEY = "btc-prediction.trainingConfig";
+
+const ACTIVATIONS = ["relu", "elu", "selu", "tanh", "sigmoid"];
+
+const DEFAULT_TRAINING_CONFIG = {
+  epochs: 32,
+  batchSize: 32,
+  learningRate: 0.2, // ml5's default
+  hiddenUnits: [16], // one entry per hidden layer
+  activation: "relu",
+  dropout: 0,
+  validationSplit: 0.1, // share of the *train* rows ml5 holds out for its loss curve
+  earlyStopping: false,
+  patience: 5,
+  minDelta: 0.0001,
+  restoreBest: true,
+  lrSchedule: "none", // see LR_SCHEDULES
+  lrFactor: 0.5,
+  lrStep: 10, // step size, or stale epochs for "plateau"
+  useWorker: true, // train in training-worker.js when it's available
+  ensembleSize: 1, // networks trained and averaged; 1 = a single model
+  bootstrap: false, // each ensemble member trains on its own resample of the train rows
+  balancing: "none", // see CLASS_BALANCING
+};
+
+/* -----------------------------
+   Load / save / sanitize
+------------------------------ */
+function loadTrainingConfig() {
+  try {
+    const raw = localStorage.getItem(TRAINING_CONFIG_KEY);
+    return sanitizeTrainingConfig(raw ? JSON.parse(raw) : {});
+  } catch (e) {
+    console.warn("Could not read saved training config:", e);
+    return { ...DEFAULT_TRAINING_CONFIG };
+  }
+}
+
+function saveTrainingConfig(config) {
+  try {
+    localStorage.setItem(TRAINING_CONFIG_KEY, JSON.stringify(sanitizeTrainingConfig(config)));
+  } catch (e) {
+    console.warn("Could not save training config:", e);
+  }
+}
+
+function sanitizeTrainingConfig(raw = {}) {
+  const d = DEFAULT_TRAINING_CONFIG;
+  const int = (v, min, max, fallback) => {
+    const n = Math.round(Number(v));
+    return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+  };
+  const num = (v, min, max, fallback) => {
+    const n = Number(v);
+    return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+  };
+
+  const units = parseHiddenUnits(raw.hiddenUnits);
+
+  return {
+    epochs: int(raw.epochs, 1, 1000, d.epochs),
+    batchSize: int(raw.batchSize, 1, 4096, d.batchSize),
+    learningRate: num(raw.learningRate, 1e-6, 10, d.learningRate),
+    hiddenUnits: units.length ? units : d.hiddenUnits.slice(),
+    activation: ACTIVATIONS.includes(raw.activation) ? raw.activation : d.activation,
+    dropout: num(raw.dropout, 0, 0.9, d.dropout),
+    validationSplit: num(raw.validationSplit, 0, 0.5, d.validationSplit),
+    earlyStopping: typeof raw.earlyStopping === "boolean" ? raw.earlyStopping : d.earlyStopping,
+    patience: int(raw.patience, 1, 1000, d.patience),
+    minDelta: num(raw.minDelta, 0, 1, d.minDelta),
+    restoreBest: typeof raw.restoreBest === "boolean" ? raw.restoreBest : d.restoreBest,
+    lrSchedule: Object.hasOwn(LR_SCHEDULES, raw.lrSchedule) ? raw.lrSchedule : d.lrSchedule,
+    lrFactor: num(raw.lrFactor, 0.01, 1, d.lrFactor),
+    lrStep: int(raw.lrStep, 1, 1000, d.lrStep),
+    useWorker: typeof raw.useWorker === "boolean" ? raw.useWorker : d.useWorker,
+    ensembleSize: int(raw.ensembleSize, 1, 10, d.ensembleSize),
+    bootstrap: typeof raw.bootstrap === "boolean" ? raw.bootstrap : d.bootstrap,
+    balancing: Object.hasOwn(CLASS_BALANCING, raw.balancing) ? raw.balancing : d.balancing,
+  };
+}
+
+// "32, 16" or [32, 16] → [32, 16] (max 6 layers, 1–1024 units each)
+function parseHiddenUnits(value) {
+  const parts = Array.isArray(value) ? value : String(value ?? "").split(/[\s,]+/);
+  return parts
+    .map((v) => Math.round(Number(v)))
+    .filter((n) => Number.isFinite(n) && n >= 1 && n <= 1024)
+    .slice(0, 6);
+}
+
+/* -----------------------------
+   ml5 options
+------------------------------ */
+function modelOptionsFromConfig(config, { task, inputs, outputs, debug = false }) {
+  const layers = [];
+
+  for (const units of config.hiddenUnits) {
+    layers.push({ type: "dense", units, activation: config.activation });
+    if (config.dropout > 0) layers.push({ type: "dropout", rate: config.dropout });
+  }
+
+  // ml5 fills in the output units from the data
+  layers.push({ type: "dense", activation: task === "regression" ? "sigmoid" : "softmax" });
+
+  return { task, debug, inputs, outputs, learningRate: config.learningRate, layers };
+}
+
+function trainOptionsFromConfig(config) {
+  return {
+    epochs: config.epochs,
+    batchSize: config.batchSize,
+    validationSplit: config.validationSplit,
+  };
+}
+
+function describeTrainingConfig(config) {
+  const dropout = config.dropout > 0 ? `, dropout ${config.dropout}` : "";
+  const early = config.earlyStopping ? ` · early stop (patience ${config.patience})` : "";
+  const schedule =
+    config.lrSchedule !== "none" ? ` · LR ${config.lrSchedule} ×${config.lrFactor}/${config.lrStep}` : "";
+  const best = config.restoreBest ? " · restore best" : "";
+  const ensemble =
+    config.ensembleSize > 1 ? ` · ensemble ×${config.ensembleSize}${config.bootstrap ? " (bootstrap)" : ""}` : "";
+  const balancing = config.balancing !== "none" ? ` · ${describeBalancing(config)}` : "";
+
+  return (
+    `${config.epochs} epochs · batch ${config.batchSize} · lr ${config.learningRate} · ` +
+    `hidden [${config.hiddenUnits.join(", ")}] ${config.activation}${dropout} · ` +
+    `val split ${config.validationSplit}${early}${schedule}${best}${ensemble}${balancing}`
+  );
+}
+
+function renderActivationOptionsHTML(selected) {
+  return ACTIVATIONS.map((a) => `<option value="${a}" ${a === selected ? "selected" : ""}>${a}</option>`).join("");
+}
@@ -0,0 +1,149 @@
+/* training-worker-client.js — page-side handle for training-worker.js
+   - Promise API over postMessage: parseCSV(), train() with epoch/pause callbacks, pause/resume/stop
+   - `ready` resolves false (never rejects) when workers are unavailable or the worker can't load
+     its scripts, so callers simply fall back to PapaParse / ml5 on the page
+*/
+
+const TRAINING_WORKER_URL = "./training-worker.js";
+const TRAINING_WORKER_READY_TIMEOUT_MS = 10000;
+
+function createTrainingWorker(url = TRAINING_WORKER_URL) {
+  let worker = null;
+  let isReady = false;
+  let nextId = 1;
+  let run = null; // { id, resolve, reject, onEpoch, onPaused } for the training in progress
+
+  const pending = new Map(); // id → { resolve, reject } for parse requests
+
+  let settleReady;
+  const ready = new Promise((resolve) => (settleReady = resolve));
+
+  try {
+    worker = new Worker(url);
+  } catch (err) {
+    // e.g. opened from file://
+    console.warn("Training worker unavailable:", err);
+    settleReady(false);
+  }
+
+  const failAll = (message) => {
+    const error = new Error(message);
+    for (const p of pending.values()) p.reject(error);
+    pending.clear();
+    run?.reject(error);
+    run = null;
+  };
+
+  if (worker) {
+    const timer = setTimeout(() => {
+      if (isReady) return;
+      console.warn("Training worker did not start in time — training on the page.");
+      settleReady(false);
+    }, TRAINING_WORKER_READY_TIMEOUT_MS);
+
+    const handleError = (msg) => {
+      const error = new Error(msg.message);
+      if (msg.id && pending.has(msg.id)) {
+        pending.get(msg.id).reject(error);
+        pending.delete(msg.id);
+      } else if (msg.id && run?.id === msg.id) {
+        run.reject(error);
+        run = null;
+      } else if (!isReady) {
+        clearTimeout(timer);
+        console.warn("Training worker failed to start:", msg.message);
+        settleReady(false);
+      } else {
+        console.error("Training worker:", msg.message);
+      }
+    };
+
+    worker.onmessage = (event) => {
+      const msg = event.data ?? {};
+
+      switch (msg.type) {
+        case "ready":
+          clearTimeout(timer);
+          isReady = true;
+          console.log("✓ Training worker ready");
+          settleReady(true);
+          break;
+        case "rows":
+          pending.get(msg.id)?.resolve({ rows: msg.rows, parsed: msg.parsed, report: msg.report });
+          pending.delete(msg.id);
+          break;
+        case "epoch":
+          run?.onEpoch(msg.epoch, msg.logs);
+          break;
+        case "paused":
+          run?.onPaused(msg.epoch);
+          break;
+        case "trained":
+          if (run?.id === msg.id) {
+            run.resolve({ bundle: msg.bundle, summary: msg.summary, epochs: msg.epochs, stopped: msg.stopped });
+            run = null;
+          }
+          break;
+        case "error":
+          handleError(msg);
+          break;
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      const message = event.message || "Training worker crashed.";
+      if (!isReady) {
+        clearTimeout(timer);
+        console.warn("Training worker failed to start:", message);
+        settleReady(false);
+      }
+      failAll(message);
+      // a crashed worker doesn't come back — later runs train on the page
+      isReady = false;
+    };
+  }
+
+  return {
+    ready,
+
+    get isReady() {
+      return isReady;
+    },
+
+    parseCSV(csvUrl) {
+      if (!isReady) return Promise.reject(new Error("Training worker is not ready."));
+
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ type: "parse", id, url: csvUrl });
+      });
+    },
+
+    // payload: { rows, featureKeys, mode, split, config, member } (member: ensemble index, default 0)
+    // Resolves with { bundle, summary, epochs, stopped }
+    train(payload, { onEpoch = () => {}, onPaused = () => {} } = {}) {
+      if (!isReady) return Promise.reject(new Error("Training worker is not ready."));
+      if (run) return Promise.reject(new Error("The worker is already training."));
+
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        run = { id, resolve, reject, onEpoch, onPaused };
+        worker.postMessage({ type: "train", id, ...payload });
+      });
+    },
+
+    pause() {
+      worker?.postMessage({ type: "pause" });
+    },
+
+    resume() {
+      worker?.postMessage({ type: "resume" });
+    },
+
+    stop() {
+      worker?.postMessage({ type: "stop" });
+    },
+  };
+}
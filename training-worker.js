@@ -0,0 +1,236 @@
+/* training-worker.js — model training off the main thread (TensorFlow.js in a Web Worker)
+   - Parses the CSV and builds features / targets / split with the same scripts the page uses
+   - Mirrors ml5's network (min-max inputs, one-hot labels, same layers, loss and optimizer), so the
+     result is a model bundle the page drops into its ml5 model (model-store.js)
+   - Streams epoch/loss messages; pause, resume and stop act at epoch boundaries
+   - One network per run; an ensemble is one run per member (`member` picks its bootstrap sample)
+   - Class balancing: resampled train rows, or class weights passed to fit() — which ml5 on the page can't
+     take, so there "weights" oversamples instead (class-balance.js)
+   - tf.js is only fetched for the first training run
+   - Talks to the page through training-worker-client.js
+*/
+
+// Same tf.js build ml5 1.x bundles, so saved weights load on either side
+const WORKER_TFJS_URL = "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.8.0/dist/tf.min.js";
+const WORKER_PAPAPARSE_URL = "https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js";
+
+try {
+  importScripts(
+    WORKER_PAPAPARSE_URL,
+    "./dataset.js",
+    "./features.js",
+    "./ensemble.js",
+    "./class-balance.js",
+    "./targets.js",
+    "./evaluation.js",
+    "./training-callbacks.js",
+    "./training-config.js",
+    "./model-store.js"
+  );
+} catch (err) {
+  postMessage({ type: "error", message: `Worker could not load its scripts: ${err?.message ?? err}` });
+  throw err;
+}
+
+// Pause / stop requests for the run in progress
+let control = null;
+
+// tf.js is ~1 MB: fetched on the first training run, so CSV parsing doesn't wait for it
+let tfLoading = null;
+
+/* -----------------------------
+   Messages
+------------------------------ */
+self.onmessage = (event) => {
+  const msg = event.data ?? {};
+
+  switch (msg.type) {
+    case "parse":
+      handleParse(msg);
+      break;
+    case "train":
+      handleTrain(msg);
+      break;
+    case "pause":
+      if (control) control.pauseRequested = true;
+      break;
+    case "resume":
+      if (control) control.pauseRequested = false;
+      control?.resume?.();
+      break;
+    case "stop":
+      if (control) control.stopRequested = true;
+      control?.resume?.();
+      break;
+    default:
+      console.warn("Training worker: unknown message", msg.type);
+  }
+};
+
+function loadTensorFlow() {
+  tfLoading ??= (async () => {
+    importScripts(WORKER_TFJS_URL);
+    try {
+      await tf.setBackend("webgl");
+      await tf.ready();
+    } catch (_) {
+      // no OffscreenCanvas / WebGL in this worker
+      await tf.setBackend("cpu");
+      await tf.ready();
+    }
+    console.log("✓ Worker TensorFlow backend:", tf.getBackend());
+  })();
+  return tfLoading;
+}
+
+async function handleParse({ id, url }) {
+  try {
+    const { rows, parsed, report } = await parseDatasetCSV(url);
+    postMessage({ type: "rows", id, rows, parsed, report });
+  } catch (err) {
+    postMessage({ type: "error", id, message: `CSV parse failed: ${err?.message ?? err}` });
+  }
+}
+
+/* -----------------------------
+   Training
+------------------------------ */
+async function handleTrain({ id, rows, featureKeys, mode, split, config: rawConfig, member = 0 }) {
+  if (control) {
+    postMessage({ type: "error", id, message: "Already training." });
+    return;
+  }
+
+  control = { pauseRequested: false, stopRequested: false, resume: null };
+
+  let data = null;
+  let model = null;
+
+  try {
+    await loadTensorFlow();
+
+    const config = sanitizeTrainingConfig(rawConfig);
+    const { task, output } = MODEL_MODES[mode.mode];
+
+    const examples = attachTargets(buildFeatureExamples(rows, featureKeys), rows, mode);
+    const { train } = splitChronological(examples, split, targetHorizon(mode));
+    if (!train.length) throw new Error("No training rows left after the split.");
+
+    const trainRows = balancedTrainingRows(memberTrainingRows(train, config, member), config, task);
+    data = prepareTrainingData(trainRows, featureKeys, task, output);
+    model = buildTfModel(config, task, data.meta);
+
+    const classWeight =
+      task === "classification" && config.balancing === "weights"
+        ? classWeightsByIndex(trainRows.map((ex) => ex.target), data.meta.outputs[output].uniqueValues)
+        : undefined;
+
+    const controller = createTrainingController(() => model, config);
+    let lastEpoch = -1;
+
+    await model.fit(data.xs, data.ys, {
+      ...trainOptionsFromConfig(config),
+      shuffle: true,
+      classWeight,
+      callbacks: {
+        onEpochEnd: async (epoch, logs) => {
+          lastEpoch = epoch;
+          controller.onEpochEnd(epoch, logs);
+          postMessage({ type: "epoch", epoch, logs: { ...logs } });
+
+          // fit() awaits this callback, so a pause holds training right here
+          const more = epoch + 1 < config.epochs && !controller.stopReason;
+          if (control.pauseRequested && !control.stopRequested && more) {
+            postMessage({ type: "paused", epoch });
+            await new Promise((resolve) => (control.resume = resolve));
+            control.resume = null;
+          }
+
+          if (control.stopRequested) model.stopTraining = true;
+        },
+      },
+    });
+
+    const epochs = lastEpoch + 1;
+    const stopped = control.stopRequested && epochs < config.epochs;
+    const summary = controller.finish({ stopped: stopped ? "stopped by user" : null });
+
+    const bundle = createModelBundle(data.meta, await captureModelArtifacts(model));
+    postMessage({ type: "trained", id, bundle, summary, epochs, stopped }, [bundle.weightData]);
+  } catch (err) {
+    postMessage({ type: "error", id, message: `Training failed: ${err?.message ?? err}` });
+  } finally {
+    data?.xs.dispose();
+    data?.ys.dispose();
+    model?.dispose();
+    control = null;
+  }
+}
+
+// ml5-style metadata + normalized tensors (see ml5's NeuralNetworkData.normalizeData)
+function prepareTrainingData(examples, keys, task, output) {
+  const inputs = {};
+  for (const key of keys) {
+    const vals = examples.map((ex) => ex.inputs[key]);
+    inputs[key] = { dtype: "number", min: Math.min(...vals), max: Math.max(...vals) };
+  }
+
+  const targets = examples.map((ex) => ex.target);
+  let outputMeta;
+  let ys;
+
+  if (task === "classification") {
+    // ml5 orders classes by first appearance in the data
+    const uniqueValues = [...new Set(targets)];
+    const legend = {};
+    uniqueValues.forEach((v, i) => (legend[v] = uniqueValues.map((_, j) => (i === j ? 1 : 0))));
+
+    outputMeta = { dtype: "string", min: 0, max: 1, uniqueValues, legend };
+    ys = targets.map((t) => legend[t]);
+  } else {
+    const min = Math.min(...targets);
+    const max = Math.max(...targets);
+
+    outputMeta = { dtype: "number", min, max };
+    ys = targets.map((t) => [normalizeValue(t, min, max)]);
+  }
+
+  const xs = examples.map((ex) => keys.map((k) => normalizeValue(ex.inputs[k], inputs[k].min, inputs[k].max)));
+
+  const meta = {
+    inputUnits: [keys.length],
+    outputUnits: task === "classification" ? outputMeta.uniqueValues.length : 1,
+    inputs,
+    outputs: { [output]: outputMeta },
+    isNormalized: true,
+  };
+
+  return { meta, xs: tf.tensor2d(xs), ys: tf.tensor2d(ys) };
+}
+
+function normalizeValue(value, min, max) {
+  return max > min ? (value - min) / (max - min) : 0;
+}
+
+// Same layer stack as modelOptionsFromConfig() and the loss/optimizer ml5 picks per task
+function buildTfModel(config, task, meta) {
+  const { layers } = modelOptionsFromConfig(config, { task });
+  const model = tf.sequential();
+
+  layers.forEach(({ type, ...options }, i) => {
+    if (i === 0) options.inputShape = meta.inputUnits;
+    if (i === layers.length - 1) options.units = meta.outputUnits;
+    model.add(type === "dropout" ? tf.layers.dropout(options) : tf.layers.dense(options));
+  });
+
+  const isRegression = task === "regression";
+  model.compile({
+    loss: isRegression ? "meanSquaredError" : "categoricalCrossentropy",
+    optimizer: isRegression ? tf.train.adam(config.learningRate) : tf.train.sgd(config.learningRate),
+    metrics: ["accuracy"],
+  });
+
+  return model;
+}
+
+postMessage({ type: "ready" });
@@ -0,0 +1,67 @@
+/* uncertainty.js — how sure a classification actually is
+   - Margin: top probability minus the runner-up (0 = a tie)
+   - Entropy: Shannon entropy of the class probabilities, divided by log(classes) so it reads 0 (certain) → 1 (uniform)
+   - A prediction is "uncertain" when the margin is thin or the entropy is high — close to a coin flip
+   - Input is the { class: p } vector sketch.js builds from ml5's results (same as the prediction log)
+*/
+
+const UNCERTAINTY_THRESHOLDS = { margin: 0.15, entropy: 0.8 };
+
+/* -----------------------------
+   Measures
+------------------------------ */
+// → { margin, entropy, uncertain, reasons: [] } or null with fewer than two classes
+function predictionUncertainty(confidences, thresholds = UNCERTAINTY_THRESHOLDS) {
+  const probs = normalizeProbabilities(Object.values(confidences ?? {}));
+  if (probs.length < 2) return null;
+
+  const [first, second] = [...probs].sort((a, b) => b - a);
+  const margin = first - second;
+  const entropy = Math.min(1, -probs.reduce((s, p) => (p > 0 ? s + p * Math.log(p) : s), 0) / Math.log(probs.length));
+
+  const reasons = [];
+  if (margin < thresholds.margin) reasons.push("top two classes are close");
+  if (entropy > thresholds.entropy) reasons.push("probability is spread across classes");
+
+  return { margin, entropy, uncertain: reasons.length > 0, reasons };
+}
+
+// ml5's softmax already sums to 1; rescale anyway in case a class is missing from the results
+function normalizeProbabilities(values) {
+  const probs = values.filter((p) => Number.isFinite(p) && p >= 0);
+  const total = probs.reduce((a, b) => a + b, 0);
+  return total > 0 ? probs.map((p) => p / total) : [];
+}
+
+/* -----------------------------
+   HTML renderers
+------------------------------ */
+// One bar per class, in the vector's order; the predicted class is highlighted
+function renderProbabilityBarsHTML(confidences, predicted) {
+  const rows = Object.entries(confidences ?? {})
+    .map(([label, p]) => {
+      const width = Math.max(0, Math.min(100, p * 100)).toFixed(1);
+      return `
+        <div class="prob-row ${label === predicted ? "prob-top" : ""}">
+          <span class="prob-label">${label}</span>
+          <span class="prob-track"><span class="prob-fill" style="width:${width}%"></span></span>
+          <span class="prob-value">${formatPct(p)}</span>
+        </div>`;
+    })
+    .join("");
+
+  return rows ? `<div class="prob-bars">${rows}</div>` : "";
+}
+
+function renderUncertaintyHTML(u) {
+  if (!u) return "";
+
+  const values = `Margin ${(u.margin * 100).toFixed(1)} pts · entropy ${u.entropy.toFixed(2)}`;
+  if (!u.uncertain) return `<div class="uncertainty">${values}</div>`;
+
+  return `
+    <div class="uncertainty uncertain">
+      <strong>⚠ Uncertain</strong> — ${u.reasons.join("; ")}. Treat this as a coin flip.
+      <div>${values}</div>
+    </div>`;
+}
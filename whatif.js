@@ -0,0 +1,186 @@
+/* whatif.js — sensitivity explorer: hold the date, sweep price and volume
+   - Grid: prices ±N% around the form's price (even steps), volumes ÷k … ×k around its volume (log steps)
+   - Every point goes through buildInferenceInputs(), so a different price moves the returns, MA ratios and RSI
+     the way a real day at that price would — not just the raw inputs
+   - Heatmap: predicted class per cell, opacity = how sure (regression: predicted return, green up / pink down)
+   - Curves: each class's probability against price at the form's volume (regression: the predicted return)
+   - History is cut to the last WHATIF_HISTORY_DAYS before the date; the EMAs behind MACD have long forgotten
+     anything older, and it keeps a 15 × 15 sweep quick
+*/
+
+const WHATIF_DEFAULTS = { priceRange: 30, volumeFactor: 4, steps: 15 };
+const WHATIF_CURVE_POINTS = 61;
+const WHATIF_HISTORY_DAYS = 250;
+
+const WHATIF_CLASS_COLORS = { ...LABEL_COLORS, Down: "#ff00aa", Flat: "#ffaa00", Up: "#31fa03" };
+
+/* -----------------------------
+   Sweep
+------------------------------ */
+function sanitizeWhatIfConfig(raw = {}) {
+  const d = WHATIF_DEFAULTS;
+  const num = (v, min, max, fallback) => {
+    const n = Number(v);
+    return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+  };
+
+  // Odd, so the middle cell is the form's own price and volume
+  const steps = Math.round(num(raw.steps, 3, 31, d.steps));
+
+  return {
+    priceRange: num(raw.priceRange, 1, 90, d.priceRange),
+    volumeFactor: num(raw.volumeFactor, 1.1, 100, d.volumeFactor),
+    steps: steps % 2 ? steps : steps + 1,
+  };
+}
+
+// center: { rate, volume } → { rates, volumes }, both ascending; the middle step is the center itself
+function whatIfAxes(center, config, steps = config.steps) {
+  const t = (i) => (2 * i) / (steps - 1) - 1; // -1 … 1
+  return {
+    rates: Array.from({ length: steps }, (_, i) => center.rate * (1 + (config.priceRange / 100) * t(i))),
+    volumes: Array.from({ length: steps }, (_, i) => center.volume * config.volumeFactor ** t(i)),
+  };
+}
+
+// points: [{ rate, volume }] → same with `inputs` (null when the history is too short for the features)
+function whatIfInputs(history, date, points, keys) {
+  const past = history.filter((r) => r.date < date).slice(-WHATIF_HISTORY_DAYS);
+  return points.map((p) => ({ ...p, inputs: buildInferenceInputs(past, { date, ...p }, keys) }));
+}
+
+/* -----------------------------
+   HTML renderers
+------------------------------ */
+// cells: [{ rate, volume, results }] in volume-major order (whatIfAxes order); classes: [] in regression
+function renderWhatIfHeatmapHTML(axes, cells, classes, task) {
+  const isRegression = task === "regression";
+  const { rates, volumes } = axes;
+  const mid = Math.floor(rates.length / 2);
+  const maxAbs = isRegression ? Math.max(1e-9, ...cells.map((c) => Math.abs(cellValue(c, task) ?? 0))) : 1;
+
+  const head = rates.map((r) => `<th>${formatUSD(r)}</th>`).join("");
+
+  // Highest volume on top, like a chart's y axis
+  const body = [...volumes.keys()]
+    .reverse()
+    .map((v) => {
+      const row = rates
+        .map((_, r) => {
+          const cell = cells[v * rates.length + r];
+          const current = v === mid && r === mid ? "whatif-current" : "";
+          return `<td class="${current}" ${whatIfCellStyle(cell, classes, task, maxAbs)}></td>`;
+        })
+        .join("");
+      return `<tr><th>${formatCompactUSD(volumes[v])}</th>${row}</tr>`;
+    })
+    .join("");
+
+  const legend = isRegression
+    ? `<span style="color:${WHATIF_CLASS_COLORS.Up}">Up</span>
+       <span style="color:${WHATIF_CLASS_COLORS.Down}">Down</span>
+       <span>(stronger = larger predicted move, up to ${formatPct(maxAbs)})</span>`
+    : classes.map((c) => `<span style="color:${WHATIF_CLASS_COLORS[c] ?? "#fff"}">${c}</span>`).join("") +
+      `<span>(stronger = more confident)</span>`;
+
+  return `
+    <table class="eval-table whatif-heatmap">
+      <caption>
+        Predicted ${isRegression ? "return" : "label"} — rows: volume, columns: price (outlined: the form's values)
+      </caption>
+      <thead><tr><th></th>${head}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+    <div class="equity-legend">${legend}</div>
+  `;
+}
+
+function whatIfCellStyle(cell, classes, task, maxAbs) {
+  const value = cellValue(cell, task);
+  if (value === null) return `title="Not enough history for the features"`;
+
+  const where = `${formatUSD(cell.rate)} · volume ${formatCompactUSD(cell.volume)}`;
+
+  if (task === "regression") {
+    const color = value >= 0 ? WHATIF_CLASS_COLORS.Up : WHATIF_CLASS_COLORS.Down;
+    const alpha = 0.1 + 0.9 * Math.min(1, Math.abs(value) / maxAbs);
+    const ret = `${value >= 0 ? "+" : ""}${(value * 100).toFixed(2)}%`;
+    return `style="background-color:${hexToRGBA(color, alpha)}" title="${where} → ${ret}"`;
+  }
+
+  const top = topResult(cell.results);
+  // 1/classes (a uniform guess) → faint, 100% → solid
+  const floor = 1 / Math.max(1, classes.length);
+  const alpha = 0.1 + 0.9 * Math.max(0, (top.confidence - floor) / (1 - floor));
+  const color = WHATIF_CLASS_COLORS[top.label] ?? "#ffffff";
+  const title = `${where} → ${top.label} ${formatPct(top.confidence)}`;
+  return `style="background-color:${hexToRGBA(color, alpha)}" title="${title}"`;
+}
+
+// points: [{ rate, results }] at the form's volume
+function renderWhatIfCurvesSVG(points, classes, task, currentRate) {
+  const w = 600;
+  const h = 200;
+  const valid = points.filter((p) => cellValue(p, task) !== null);
+  if (valid.length < 2) return "";
+
+  const lo = valid[0].rate;
+  const hi = valid[valid.length - 1].rate;
+  const x = (rate) => (((rate - lo) / (hi - lo || 1)) * w).toFixed(1);
+
+  let series;
+  let yRange;
+  if (task === "regression") {
+    const values = valid.map((p) => cellValue(p, task));
+    const span = Math.max(1e-9, ...values.map(Math.abs));
+    yRange = [-span, span];
+    series = [{ name: "Predicted return", color: WHATIF_CLASS_COLORS.Up, values }];
+  } else {
+    yRange = [0, 1];
+    series = classes.map((c) => ({
+      name: c,
+      color: WHATIF_CLASS_COLORS[c] ?? "#fff",
+      values: valid.map((p) => (p.results ?? []).find((r) => String(r.label) === c)?.confidence ?? 0),
+    }));
+  }
+
+  const y = (v) => (h - ((v - yRange[0]) / (yRange[1] - yRange[0])) * h).toFixed(1);
+  const lines = series
+    .map((s) => {
+      const pts = s.values.map((v, i) => `${x(valid[i].rate)},${y(v)}`).join(" ");
+      return `<polyline points="${pts}" style="stroke:${s.color}" />`;
+    })
+    .join("");
+
+  const zero =
+    task === "regression" ? `<line class="whatif-axis" x1="0" x2="${w}" y1="${y(0)}" y2="${y(0)}" />` : "";
+  const now = `<line class="whatif-axis" x1="${x(currentRate)}" x2="${x(currentRate)}" y1="0" y2="${h}" />`;
+
+  const yAxis = task === "regression" ? `y: ± ${formatPct(yRange[1])}` : "y: 0 → 100%";
+
+  return `
+    <svg class="equity-curve whatif-curves" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" role="img"
+         aria-label="Predicted ${task === "regression" ? "return" : "class probabilities"} against price">
+      ${zero}${now}${lines}
+    </svg>
+    <div class="equity-legend">
+      ${series.map((s) => `<span style="color:${s.color}">${s.name}</span>`).join("")}
+      <span>${formatUSD(lo)} → ${formatUSD(hi)} (line: the form's price; ${yAxis})</span>
+    </div>
+  `;
+}
+
+// Top probability (classification) or the predicted return; null when the point couldn't be predicted
+function cellValue(cell, task) {
+  if (!cell?.results) return null;
+  if (task === "regression") {
+    const v = Number((Array.isArray(cell.results) ? cell.results[0] : cell.results)?.value);
+    return Number.isFinite(v) ? v : null;
+  }
+  return topResult(cell.results)?.confidence ?? null;
+}
+
+function hexToRGBA(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha.toFixed(2)})`;
+}